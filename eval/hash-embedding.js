@@ -0,0 +1,72 @@
+/**
+ * Hash Embedding - deterministic, offline embedding backend for evaluation runs
+ * Feature hashing of stemmed words (plus their character trigrams, for a little
+ * fuzziness) into a fixed-size signed vector. No network, no model download, and
+ * identical vectors on every machine, so metric changes come from ranking code only.
+ */
+
+import { tokenize } from '../src/lib/lexical-index.js';
+
+export const HASH_EMBEDDING_MODEL_ID = 'hash-eval@1';
+export const HASH_EMBEDDING_DIMENSION = 256;
+
+// Trigrams count less than whole words
+const TRIGRAM_WEIGHT = 0.3;
+
+/**
+ * FNV-1a 32-bit hash
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Add a hashed feature to the vector (sign from a second hash halves collisions' bias)
+ * @param {Float32Array} vector - Vector to update
+ * @param {string} feature - Feature string
+ * @param {number} weight - Feature weight
+ */
+function addFeature(vector, feature, weight) {
+  const index = fnv1a(feature) % vector.length;
+  const sign = fnv1a(`#${feature}`) & 1 ? 1 : -1;
+  vector[index] += sign * weight;
+}
+
+/**
+ * Embed text into a unit vector
+ * @param {string} text - Text to embed
+ * @returns {number[]} Unit vector of HASH_EMBEDDING_DIMENSION components
+ */
+export function hashEmbed(text) {
+  const vector = new Float32Array(HASH_EMBEDDING_DIMENSION);
+
+  for (const term of tokenize(text)) {
+    addFeature(vector, term, 1);
+    const padded = `^${term}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(vector, padded.slice(i, i + 3), TRIGRAM_WEIGHT);
+    }
+  }
+
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+  return Array.from(vector, (value) => value / norm);
+}
+
+/**
+ * Model descriptor for registerEmbeddingModel
+ */
+export const hashEmbeddingModel = {
+  id: HASH_EMBEDDING_MODEL_ID,
+  dimension: HASH_EMBEDDING_DIMENSION,
+  embed: hashEmbed,
+  label: 'feature-hashing (evaluation)',
+};
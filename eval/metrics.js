@@ -0,0 +1,95 @@
+/**
+ * Metrics - ranking quality measures for the evaluation harness
+ * Relevance judgements are graded: { intentionId: grade }, grade 0-3 (0 = not relevant).
+ */
+
+/**
+ * Discounted cumulative gain of a list of grades
+ * @param {number[]} grades - Grades in ranked order
+ * @returns {number} DCG (exponential gain)
+ */
+function dcg(grades) {
+  return grades.reduce(
+    (sum, grade, i) => sum + (Math.pow(2, grade) - 1) / Math.log2(i + 2),
+    0
+  );
+}
+
+/**
+ * Normalized DCG at k
+ * @param {string[]} rankedIds - Result ids in ranked order
+ * @param {Object} judgements - intentionId -> grade
+ * @param {number} k - Cutoff
+ * @returns {number} nDCG@k between 0 and 1 (1 when nothing is relevant and nothing is returned)
+ */
+export function ndcgAtK(rankedIds, judgements, k) {
+  const ideal = Object.values(judgements)
+    .filter((grade) => grade > 0)
+    .sort((a, b) => b - a)
+    .slice(0, k);
+  if (ideal.length === 0) return 1;
+
+  const gains = rankedIds.slice(0, k).map((id) => judgements[id] || 0);
+  return dcg(gains) / dcg(ideal);
+}
+
+/**
+ * Reciprocal rank of the first relevant result
+ * @param {string[]} rankedIds - Result ids in ranked order
+ * @param {Object} judgements - intentionId -> grade
+ * @returns {number} 1/rank, or 0 if no relevant result was returned
+ */
+export function reciprocalRank(rankedIds, judgements) {
+  const rank = rankedIds.findIndex((id) => (judgements[id] || 0) > 0);
+  return rank === -1 ? 0 : 1 / (rank + 1);
+}
+
+/**
+ * Share of relevant intentions found in the top k
+ * @param {string[]} rankedIds - Result ids in ranked order
+ * @param {Object} judgements - intentionId -> grade
+ * @param {number} k - Cutoff
+ * @returns {number} Recall@k between 0 and 1 (1 when nothing is relevant)
+ */
+export function recallAtK(rankedIds, judgements, k) {
+  const relevant = Object.keys(judgements).filter((id) => judgements[id] > 0);
+  if (relevant.length === 0) return 1;
+
+  const top = new Set(rankedIds.slice(0, k));
+  return relevant.filter((id) => top.has(id)).length / relevant.length;
+}
+
+/**
+ * All metrics for one query
+ * @param {string[]} rankedIds - Result ids in ranked order
+ * @param {Object} judgements - intentionId -> grade
+ * @param {number} k - Cutoff for nDCG and recall
+ * @returns {Object} { ndcg, mrr, recall }
+ */
+export function scoreQuery(rankedIds, judgements, k) {
+  return {
+    ndcg: ndcgAtK(rankedIds, judgements, k),
+    mrr: reciprocalRank(rankedIds, judgements),
+    recall: recallAtK(rankedIds, judgements, k),
+  };
+}
+
+/**
+ * Mean of each metric over queries
+ * @param {Array<Object>} scores - Per-query metric objects
+ * @returns {Object} Metric -> mean
+ */
+export function averageScores(scores) {
+  const totals = {};
+  for (const score of scores) {
+    for (const [metric, value] of Object.entries(score)) {
+      totals[metric] = (totals[metric] || 0) + value;
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(totals).map(([metric, total]) => [
+      metric,
+      total / scores.length,
+    ])
+  );
+}
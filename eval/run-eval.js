@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * Offline relevance evaluation for the intention search engine
+ *
+ * Runs every labelled query of each dataset through searchIntentionsWithFacets (with the
+ * options the app uses), reports nDCG@k, MRR and recall@k, and diffs them against
+ * eval/baseline.json. Embeddings come from a deterministic hashing backend, so runs need
+ * no network access and give identical numbers on every machine.
+ *
+ * Usage:
+ *   npm run eval                          # all datasets, compare with the baseline
+ *   npm run eval -- --dataset neighbourhood --verbose
+ *   npm run eval:baseline                 # accept the current numbers (--update-baseline)
+ *
+ * Options:
+ *   --dataset <name>    Dataset in eval/datasets (repeatable, default: all)
+ *   --k <n>             Cutoff for nDCG and recall (default 5)
+ *   --tolerance <x>     Allowed drop per metric before failing (default 0.005)
+ *   --update-baseline   Write the current metrics to eval/baseline.json
+ *   --verbose           Per-query metrics and top results
+ */
+
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join, basename } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import {
+  registerEmbeddingModel,
+  setActiveEmbeddingModel,
+} from '../src/lib/embedding-models.js';
+import {
+  embedIntention,
+  searchIntentionsWithFacets,
+} from '../src/lib/intention-search-engine.js';
+import { detectQueryIntent } from '../src/lib/reciprocity.js';
+import { resolveIntentionGeo } from '../src/lib/gazetteer.js';
+import { getMockIntentions } from '../src/lib/mock-data.js';
+import { hashEmbeddingModel } from './hash-embedding.js';
+import { scoreQuery, averageScores } from './metrics.js';
+
+const EVAL_DIR = dirname(fileURLToPath(import.meta.url));
+const DATASETS_DIR = join(EVAL_DIR, 'datasets');
+const BASELINE_PATH = join(EVAL_DIR, 'baseline.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fixture ages (ageDays) are relative to this instant, so recency scores never drift
+const FIXTURE_NOW = Date.UTC(2025, 0, 1);
+
+// Search options as used by IntentionSearch.svelte; 'keyword' is the fallback before the model loads
+const SEARCH_CONFIGS = {
+  hybrid: {
+    semanticWeight: 0.7,
+    geoWeight: 0.3,
+    minScore: 0.1,
+    maxResults: 50,
+    useSemantic: true,
+    matchMode: 'complementary',
+    diversify: true,
+  },
+  keyword: {
+    semanticWeight: 0.7,
+    geoWeight: 0.3,
+    minScore: 0.1,
+    maxResults: 50,
+    useSemantic: false,
+    matchMode: 'complementary',
+    diversify: true,
+  },
+};
+
+const METRICS = ['ndcg', 'mrr', 'recall'];
+
+/**
+ * Load a dataset and embed its intentions
+ * @param {string} path - Dataset JSON path
+ * @returns {Promise<Object>} { name, intentions, queries, now }
+ */
+async function loadDataset(path) {
+  const dataset = JSON.parse(await readFile(path, 'utf8'));
+
+  let intentions;
+  let now;
+  if (dataset.intentions === 'mock-data') {
+    intentions = getMockIntentions();
+    now = Date.now(); // mock createdAt values are relative to module load
+  } else {
+    now = FIXTURE_NOW;
+    intentions = dataset.intentions.map(({ ageDays = 0, ...intention }) => ({
+      status: 'active',
+      createdBy: `did:eval:${intention.intentionId}`,
+      createdAt: FIXTURE_NOW - ageDays * DAY_MS,
+      ...intention,
+    }));
+  }
+
+  const embedded = [];
+  for (const intention of intentions) {
+    embedded.push(await embedIntention(resolveIntentionGeo(intention)));
+  }
+
+  return {
+    name: dataset.name || basename(path, '.json'),
+    intentions: embedded,
+    queries: dataset.queries,
+    now,
+  };
+}
+
+/**
+ * Run every query of a dataset with one search configuration
+ * @param {Object} dataset - Loaded dataset
+ * @param {Object} config - Search options
+ * @param {number} k - Metric cutoff
+ * @returns {Promise<Object>} { summary, perQuery }
+ */
+async function evaluate(dataset, config, k) {
+  const perQuery = [];
+  for (const { id, query, relevant } of dataset.queries) {
+    const { results } = await searchIntentionsWithFacets(
+      query,
+      dataset.intentions,
+      {
+        ...config,
+        now: dataset.now,
+        queryCategory: detectQueryIntent(query),
+      }
+    );
+    // Grouped near-duplicates are shown with their representative ("+N similar")
+    const rankedIds = results.flatMap((result) => [
+      result.intentionId,
+      ...(result.duplicates || []).map((duplicate) => duplicate.intentionId),
+    ]);
+    perQuery.push({
+      id,
+      query,
+      rankedIds,
+      ...scoreQuery(rankedIds, relevant, k),
+    });
+  }
+
+  const summary = averageScores(
+    perQuery.map(({ ndcg, mrr, recall }) => ({ ndcg, mrr, recall }))
+  );
+  return { summary, perQuery };
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function formatMetric(value, baselineValue) {
+  const text = value.toFixed(4);
+  if (baselineValue === undefined) return `${text}         `;
+
+  const delta = value - baselineValue;
+  if (Math.abs(delta) < 0.00005) return `${text}  (=)    `;
+  return `${text} (${delta > 0 ? '+' : ''}${delta.toFixed(4)})`;
+}
+
+async function loadBaseline() {
+  try {
+    return JSON.parse(await readFile(BASELINE_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      dataset: { type: 'string', multiple: true },
+      k: { type: 'string', default: '5' },
+      tolerance: { type: 'string', default: '0.005' },
+      'update-baseline': { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+    },
+  });
+  const k = Number(values.k);
+  const tolerance = Number(values.tolerance);
+
+  registerEmbeddingModel(hashEmbeddingModel);
+  setActiveEmbeddingModel(hashEmbeddingModel.id);
+
+  const files = (await readdir(DATASETS_DIR))
+    .filter((file) => file.endsWith('.json'))
+    .sort();
+  const selected = values.dataset
+    ? files.filter((file) => values.dataset.includes(basename(file, '.json')))
+    : files;
+  if (selected.length === 0) {
+    console.error(`No datasets matched: ${values.dataset.join(', ')}`);
+    process.exit(2);
+  }
+
+  const baseline = await loadBaseline();
+  const baselineResults = baseline?.k === k ? baseline.results : {};
+  if (baseline && baseline.k !== k) {
+    console.warn(
+      `⚠️ Baseline was recorded with k=${baseline.k}; not comparing`
+    );
+  }
+
+  const results = {};
+  const regressions = [];
+  const report = [];
+
+  for (const file of selected) {
+    const dataset = await loadDataset(join(DATASETS_DIR, file));
+    results[dataset.name] = {};
+
+    for (const [configName, config] of Object.entries(SEARCH_CONFIGS)) {
+      const { summary, perQuery } = await evaluate(dataset, config, k);
+      const previous = baselineResults[dataset.name]?.[configName];
+      results[dataset.name][configName] = Object.fromEntries(
+        METRICS.map((metric) => [metric, round(summary[metric])])
+      );
+
+      report.push(
+        [
+          dataset.name.padEnd(16),
+          configName.padEnd(9),
+          ...METRICS.map((metric) =>
+            formatMetric(summary[metric], previous?.[metric])
+          ),
+        ].join('  ')
+      );
+
+      for (const metric of METRICS) {
+        if (previous && previous[metric] - summary[metric] > tolerance) {
+          regressions.push(
+            `${dataset.name}/${configName} ${metric}: ${previous[metric]} → ${round(summary[metric])}`
+          );
+        }
+      }
+
+      if (values.verbose) {
+        for (const query of perQuery) {
+          report.push(
+            `    ${query.id.padEnd(22)} nDCG ${query.ndcg.toFixed(3)}  RR ${query.mrr.toFixed(3)}  R ${query.recall.toFixed(3)}  [${query.rankedIds.slice(0, k).join(', ')}]`
+          );
+        }
+      }
+    }
+  }
+
+  // The report follows the engine's own per-search log lines
+  console.log(
+    `\n${'dataset'.padEnd(16)}  ${'config'.padEnd(9)}  ${`nDCG@${k}`.padEnd(17)}  ${'MRR'.padEnd(17)}  recall@${k}`
+  );
+  for (const line of report) console.log(line);
+
+  if (values['update-baseline']) {
+    const merged = { k, results: { ...baselineResults, ...results } };
+    await writeFile(BASELINE_PATH, JSON.stringify(merged, null, 2) + '\n');
+    console.log(`\n💾 Baseline written to ${BASELINE_PATH}`);
+    return;
+  }
+
+  if (regressions.length > 0) {
+    console.log(
+      `\n❌ ${regressions.length} metric(s) dropped more than ${tolerance}:`
+    );
+    for (const regression of regressions) console.log(`   ${regression}`);
+    process.exit(1);
+  }
+
+  console.log(
+    baseline
+      ? '\n✅ No regressions against the baseline'
+      : '\nℹ️ No baseline yet (run with --update-baseline)'
+  );
+}
+
+main().catch((error) => {
+  console.error('❌ Evaluation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  geocodeLocation,
+  normalizePlaceName,
+  resolveIntentionGeo,
+  reverseGeocode,
+  suggestLocations,
+} from '../../src/lib/gazetteer.js';
+
+test('place names are normalized for matching', () => {
+  assert.equal(normalizePlaceName('  São Paulo, SP! '), 'sao paulo sp');
+});
+
+test('geocodeLocation resolves names, qualifiers, postal codes and phrases', () => {
+  assert.equal(geocodeLocation('Oakland, CA').label, 'Oakland, CA');
+  assert.equal(geocodeLocation('Portland, ME').region, 'ME');
+  assert.equal(geocodeLocation('Portland').region, 'OR');
+  assert.equal(
+    geocodeLocation('Portland', { near: [43.7, -70.3] }).region,
+    'ME'
+  );
+
+  const postal = geocodeLocation('94609');
+  assert.equal(postal.kind, 'postal');
+  assert.equal(postal.name, 'Temescal');
+
+  // The longest contained name wins
+  assert.equal(
+    geocodeLocation('north berkeley near the campus').name,
+    'North Berkeley'
+  );
+  assert.equal(geocodeLocation('the hills above oakland').name, 'Oakland');
+  assert.equal(geocodeLocation('somewhere over the rainbow'), null);
+});
+
+test('suggestLocations puts name prefixes first, cities before postal areas', () => {
+  const suggestions = suggestLocations('oak');
+  assert.equal(suggestions[0].label, 'Oakland, CA');
+  assert.deepEqual(suggestLocations('o'), []);
+});
+
+test('reverseGeocode finds the nearest city within range', () => {
+  const near = reverseGeocode([37.81, -122.27]);
+  assert.equal(near.name, 'Oakland');
+  assert.ok(near.distanceKm < 2);
+  assert.equal(reverseGeocode([0, -150]), null);
+});
+
+test('resolveIntentionGeo only fills in a missing geo', () => {
+  const withGeo = { location: 'Oakland', geo: [1, 2] };
+  assert.equal(resolveIntentionGeo(withGeo), withGeo);
+  assert.deepEqual(
+    resolveIntentionGeo({ location: 'Oakland, CA' }).geo,
+    [37.8044, -122.2712]
+  );
+});
@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Entry, MemoryStorage } from '@orbitdb/core';
+import { IntentionAccessController } from '../../src/lib/intention-access.js';
+import { stampChanges } from '../../src/lib/intention-merge.js';
+
+const ADMIN = 'did:test:admin';
+const ALICE = 'did:test:alice';
+const BOB = 'did:test:bob';
+const MODERATOR = 'did:test:moderator';
+const LOG_ID = 'intentions-log';
+const KEY = 'i1';
+
+// Identities are resolved and "verified" by DID alone: these tests are about ownership
+const identities = {
+  getIdentity: async (/** @type {string} */ hash) => ({
+    id: hash.replace('identity:', ''),
+  }),
+  verifyIdentity: async () => true,
+  verify: async () => true,
+};
+
+/**
+ * Access controller over in-memory storage, plus a writer for its log
+ */
+async function createLog() {
+  const storage = await MemoryStorage();
+  const access = await IntentionAccessController({
+    moderators: [MODERATOR],
+    storage,
+  })({ orbitdb: { identity: { id: ADMIN } }, identities });
+  let time = 0;
+
+  /**
+   * Sign and store an entry, then ask the controller about it
+   * @param {string} writer - Writer DID
+   * @param {Object<string, *>} payload - Entry payload
+   * @param {Array<Object<string, *>>} next - Parent entries
+   */
+  const write = async (writer, payload, next) => {
+    const identity = {
+      id: writer,
+      publicKey: writer,
+      hash: `identity:${writer}`,
+      sign: async () => 'signature',
+    };
+    time += 1;
+    const entry = await Entry.create(
+      identity,
+      LOG_ID,
+      payload,
+      null,
+      { id: writer, time },
+      next.map((parent) => parent.hash)
+    );
+    const { hash, bytes } = await Entry.encode(entry);
+    await storage.put(hash, bytes);
+    entry.hash = hash;
+    return { entry, allowed: await access.canAppend(entry) };
+  };
+
+  return { write };
+}
+
+/**
+ * A PUT of a revision based on the given entries
+ * @param {Object<string, *>} value - Document
+ * @param {Array<Object<string, *>>} base - Revisions it builds on
+ */
+const put = (value, base) => ({
+  op: 'PUT',
+  key: KEY,
+  value: { ...value, basedOn: base.map((entry) => entry.hash) },
+});
+
+const created = stampChanges(
+  null,
+  {
+    intentionId: KEY,
+    title: 'Walk my dog',
+    description: 'Twice a day',
+    createdBy: ALICE,
+    createdAt: Date.UTC(2024, 4, 1),
+    status: 'active',
+  },
+  ALICE
+);
+
+test('anyone can create an intention in their own name', async () => {
+  const { write } = await createLog();
+  assert.equal((await write(ALICE, put(created, []), [])).allowed, true);
+  assert.equal(
+    (await write(BOB, { ...put(created, []), key: 'i2' }, [])).allowed,
+    false
+  );
+});
+
+test('the owner can edit their intention', async () => {
+  const { write } = await createLog();
+  const { entry: first } = await write(ALICE, put(created, []), []);
+  const edited = stampChanges(created, { ...created, title: 'Walk' }, ALICE);
+
+  const { allowed } = await write(ALICE, put(edited, [first]), [first]);
+  assert.equal(allowed, true);
+});
+
+test('moderators can only hide an intention', async () => {
+  const { write } = await createLog();
+  const { entry: first } = await write(ALICE, put(created, []), []);
+  const hidden = stampChanges(
+    created,
+    { ...created, hidden: true, hiddenBy: MODERATOR },
+    MODERATOR
+  );
+  const retitled = stampChanges(
+    created,
+    { ...created, title: 'Spam' },
+    MODERATOR
+  );
+
+  assert.equal(
+    (await write(MODERATOR, put(hidden, [first]), [first])).allowed,
+    true
+  );
+  assert.equal(
+    (await write(MODERATOR, put(retitled, [first]), [first])).allowed,
+    false
+  );
+});
+
+test('an empty basedOn cannot take over an existing intention', async () => {
+  const { write } = await createLog();
+  const { entry: first } = await write(ALICE, put(created, []), []);
+  const forged = stampChanges(
+    created,
+    { ...created, createdBy: BOB, title: 'PWNED' },
+    BOB
+  );
+
+  assert.equal((await write(BOB, put(forged, []), [first])).allowed, false);
+  // Nor by leaving the key's history out of `next`: this peer saw it created
+  assert.equal((await write(BOB, put(forged, []), [])).allowed, false);
+});
+
+test('a base outside the causal past is rejected', async () => {
+  const { write } = await createLog();
+  const { entry: first } = await write(ALICE, put(created, []), []);
+  const edited = stampChanges(created, { ...created, title: 'Walk' }, ALICE);
+
+  assert.equal((await write(ALICE, put(edited, [first]), [])).allowed, false);
+});
+
+test('only the owner can delete an intention', async () => {
+  const { write } = await createLog();
+  const { entry: first } = await write(ALICE, put(created, []), []);
+  const deletion = { op: 'DEL', key: KEY, value: null };
+
+  assert.equal((await write(BOB, deletion, [first])).allowed, false);
+  assert.equal((await write(MODERATOR, deletion, [first])).allowed, false);
+  assert.equal((await write(ALICE, deletion, [first])).allowed, true);
+});
+
+test('a deleted intention can be created anew', async () => {
+  const { write } = await createLog();
+  const { entry: first } = await write(ALICE, put(created, []), []);
+  const { entry: deletion } = await write(
+    ALICE,
+    { op: 'DEL', key: KEY, value: null },
+    [first]
+  );
+  const recreated = stampChanges(null, { ...created, createdBy: BOB }, BOB);
+
+  assert.equal(
+    (await write(BOB, put(recreated, []), [deletion])).allowed,
+    true
+  );
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildRevisions,
+  diffIntentions,
+} from '../../src/lib/intention-history.js';
+import { migrateIntention } from '../../src/lib/intention-schema.js';
+
+const ALICE = 'did:test:alice';
+
+const created = migrateIntention({
+  intentionId: 'i1',
+  title: 'Walk my dog',
+  tags: ['dogs'],
+  createdAt: 1000,
+  createdBy: ALICE,
+});
+
+test('diffIntentions lists changed fields and skips bookkeeping', () => {
+  const edited = {
+    ...created,
+    title: 'Walk my two dogs',
+    tags: ['dogs', 'pets'],
+    updatedAt: 2000,
+    fieldClocks: { title: 'changed' },
+    basedOn: ['h1'],
+  };
+
+  assert.deepEqual(diffIntentions(created, edited), [
+    { field: 'tags', before: ['dogs'], after: ['dogs', 'pets'] },
+    { field: 'title', before: 'Walk my dog', after: 'Walk my two dogs' },
+  ]);
+  assert.deepEqual(diffIntentions(created, { ...created }), []);
+});
+
+test('buildRevisions diffs each entry against the one before, newest first', () => {
+  const revisions = buildRevisions([
+    { hash: 'h1', op: 'PUT', value: created, author: 'alice-key' },
+    {
+      hash: 'h2',
+      op: 'PUT',
+      value: { ...created, status: 'completed', updatedAt: 3000 },
+    },
+    { hash: 'h3', op: 'DEL', value: null },
+  ]);
+
+  assert.deepEqual(
+    revisions.map((revision) => revision.hash),
+    ['h3', 'h2', 'h1']
+  );
+  assert.equal(revisions[2].author, 'alice-key');
+  assert.equal(revisions[1].author, ALICE);
+  assert.equal(revisions[1].timestamp, 3000);
+  assert.deepEqual(revisions[1].changes, [
+    { field: 'status', before: 'active', after: 'completed' },
+  ]);
+  assert.equal(revisions[0].value, null);
+  assert.ok(revisions[0].changes.some((change) => change.field === 'title'));
+});
+
+test('a schema upgrade between revisions is not shown as an edit', () => {
+  const legacy = {
+    intentionId: 'i1',
+    title: 'Walk my dog',
+    tags: 'dogs',
+    createdAt: 1000,
+    createdBy: ALICE,
+  };
+  const [upgraded] = buildRevisions([
+    { hash: 'h1', op: 'PUT', value: legacy },
+    { hash: 'h2', op: 'PUT', value: created },
+  ]);
+
+  assert.deepEqual(upgraded.changes, []);
+});
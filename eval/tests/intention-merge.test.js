@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  formatStamp,
+  parseStamp,
+  nextStamp,
+  observeStamps,
+  stampChanges,
+  mergeIntentionRevisions,
+  embeddingFingerprint,
+  sameFieldValue,
+} from '../../src/lib/intention-merge.js';
+
+const ALICE = 'did:test:alice';
+const BOB = 'did:test:bob';
+
+const original = {
+  intentionId: 'i1',
+  title: 'Need a ride to Oakland',
+  description: 'Weekday mornings',
+  tags: ['carpool'],
+  status: 'active',
+  updatedAt: 1000,
+};
+
+test('stamps order by physical time, then counter, then node', () => {
+  const stamps = [
+    formatStamp(2000, 0, ALICE),
+    formatStamp(1000, 1, ALICE),
+    formatStamp(1000, 0, BOB),
+    formatStamp(1000, 0, ALICE),
+  ];
+  assert.deepEqual([...stamps].sort(), [
+    stamps[3],
+    stamps[2],
+    stamps[1],
+    stamps[0],
+  ]);
+  assert.deepEqual(parseStamp(stamps[1]), {
+    physical: 1000,
+    counter: 1,
+    node: ALICE,
+  });
+  assert.equal(parseStamp('not a stamp'), null);
+});
+
+test('nextStamp is monotonic and passes observed stamps', () => {
+  const first = nextStamp(ALICE);
+  const second = nextStamp(ALICE);
+  assert.ok(second > first);
+
+  // A peer whose clock runs an hour ahead
+  const future = formatStamp(Date.now() + 60 * 60 * 1000, 7, BOB);
+  observeStamps({ fieldClocks: { title: future } });
+  const after = nextStamp(ALICE);
+  assert.ok(after > future);
+  assert.equal(parseStamp(after).physical, parseStamp(future).physical);
+});
+
+test('stampChanges only stamps the groups that changed', () => {
+  const base = stampChanges(null, original, ALICE);
+  assert.deepEqual(Object.keys(base.fieldClocks).sort(), [
+    'description',
+    'status',
+    'tags',
+    'title',
+  ]);
+
+  const edited = stampChanges(
+    base,
+    { ...base, tags: ['carpool', 'commute'] },
+    BOB
+  );
+  assert.ok(edited.fieldClocks.tags > base.fieldClocks.tags);
+  assert.equal(edited.fieldClocks.title, base.fieldClocks.title);
+  assert.equal(edited.fieldClocks.status, base.fieldClocks.status);
+});
+
+test('stampChanges stamps removed fields, so unhiding beats an older hide', () => {
+  const base = stampChanges(null, original, ALICE);
+  const hidden = stampChanges(base, { ...base, hidden: true }, BOB);
+  const unhidden = { ...hidden };
+  delete unhidden.hidden;
+  const restored = stampChanges(hidden, unhidden, ALICE);
+
+  assert.ok(restored.fieldClocks.hidden > hidden.fieldClocks.hidden);
+  assert.equal(mergeIntentionRevisions([hidden, restored]).hidden, undefined);
+});
+
+test('concurrent edits to different groups both survive, in any order', () => {
+  const base = stampChanges(null, original, ALICE);
+  const tagEdit = stampChanges(
+    base,
+    { ...base, tags: ['carpool', 'commute'] },
+    ALICE
+  );
+  const statusEdit = stampChanges(base, { ...base, status: 'completed' }, BOB);
+
+  const merged = mergeIntentionRevisions([tagEdit, statusEdit]);
+  assert.deepEqual(merged.tags, ['carpool', 'commute']);
+  assert.equal(merged.status, 'completed');
+  assert.deepEqual(merged, mergeIntentionRevisions([statusEdit, tagEdit]));
+  assert.deepEqual(
+    merged,
+    mergeIntentionRevisions([base, statusEdit, tagEdit])
+  );
+});
+
+test('the later stamp wins when both edits touch the same group', () => {
+  const base = stampChanges(null, original, ALICE);
+  const first = stampChanges(base, { ...base, title: 'First title' }, ALICE);
+  const second = stampChanges(base, { ...base, title: 'Second title' }, BOB);
+
+  assert.equal(mergeIntentionRevisions([second, first]).title, 'Second title');
+});
+
+test('a later revision cannot change who created the intention', () => {
+  const base = stampChanges(null, { ...original, createdBy: ALICE }, ALICE);
+  const forged = stampChanges(
+    base,
+    { ...base, createdBy: BOB, title: 'Taken over' },
+    BOB
+  );
+
+  const merged = mergeIntentionRevisions([forged, base]);
+  assert.equal(merged.createdBy, ALICE);
+  assert.equal(merged.title, base.title);
+});
+
+test('an embedding whose text changed in another revision is dropped', () => {
+  const base = stampChanges(null, original, ALICE);
+  const embedded = stampChanges(
+    base,
+    { ...base, embedding: [0.1, 0.2] },
+    ALICE
+  );
+  assert.equal(embedded.embeddingSource, embeddingFingerprint(embedded));
+
+  const retitled = stampChanges(
+    base,
+    { ...base, title: 'Need a ride to Berkeley' },
+    BOB
+  );
+  const merged = mergeIntentionRevisions([embedded, retitled]);
+  assert.equal(merged.title, 'Need a ride to Berkeley');
+  assert.equal(merged.embedding, undefined);
+  assert.equal(merged.fieldClocks.embedding, undefined);
+});
+
+test('sameFieldValue ignores key order and treats undefined as null', () => {
+  assert.ok(sameFieldValue({ a: 1, b: [2] }, { b: [2], a: 1 }));
+  assert.ok(sameFieldValue(undefined, null));
+  assert.ok(!sameFieldValue(['a', 'b'], ['b', 'a']));
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RevisionIndex } from '../../src/lib/intention-revisions.js';
+
+/**
+ * In-memory stand-in for an OrbitDB oplog (heads + get by hash)
+ */
+function createLog() {
+  const entries = new Map();
+  let heads = [];
+  let reads = 0;
+
+  return {
+    get reads() {
+      return reads;
+    },
+    append(hash, op, key, value, time, writer = 'alice') {
+      const entry = {
+        hash,
+        next: heads.map((head) => head.hash),
+        payload: { op, key, value },
+        identity: writer,
+        clock: { id: writer, time },
+      };
+      entries.set(hash, entry);
+      heads = [entry];
+      return entry;
+    },
+    // A concurrent write from another peer: same parents as the current heads
+    appendConcurrent(hash, op, key, value, time, writer) {
+      const parents = heads.flatMap((head) => head.next);
+      const entry = {
+        hash,
+        next: parents,
+        payload: { op, key, value },
+        identity: writer,
+        clock: { id: writer, time },
+      };
+      entries.set(hash, entry);
+      heads = [...heads, entry];
+      return entry;
+    },
+    async heads() {
+      return heads;
+    },
+    async get(hash) {
+      reads++;
+      return entries.get(hash) || null;
+    },
+  };
+}
+
+test('entries are grouped by key in log order', async () => {
+  const log = createLog();
+  log.append('h1', 'PUT', 'a', { title: 'A1', basedOn: [] }, 1);
+  log.append('h2', 'PUT', 'b', { title: 'B1', basedOn: [] }, 2);
+  log.append('h3', 'PUT', 'a', { title: 'A2', basedOn: ['h1'] }, 3);
+
+  const index = new RevisionIndex(log);
+  await index.sync();
+
+  assert.deepEqual(index.keys().sort(), ['a', 'b']);
+  assert.deepEqual(
+    index.history('a').map((entry) => entry.hash),
+    ['h1', 'h3']
+  );
+  assert.deepEqual(index.history('missing'), []);
+});
+
+test('revisions stop at the latest deletion', async () => {
+  const log = createLog();
+  log.append('h1', 'PUT', 'a', { title: 'A1', basedOn: [] }, 1);
+  log.append('h2', 'DEL', 'a', null, 2);
+  log.append('h3', 'PUT', 'a', { title: 'A again', basedOn: [] }, 3);
+
+  const index = new RevisionIndex(log);
+  await index.sync();
+
+  assert.deepEqual(
+    index.revisions('a').map((entry) => entry.hash),
+    ['h3']
+  );
+  assert.equal(index.history('a').length, 3);
+});
+
+test('heads are the revisions no later revision is based on', async () => {
+  const log = createLog();
+  log.append('h1', 'PUT', 'a', { title: 'A1', basedOn: [] }, 1);
+  log.append('h2', 'PUT', 'a', { title: 'A2', basedOn: ['h1'] }, 2, 'alice');
+  log.appendConcurrent(
+    'h3',
+    'PUT',
+    'a',
+    { status: 'done', basedOn: ['h1'] },
+    2,
+    'bob'
+  );
+
+  const index = new RevisionIndex(log);
+  await index.sync();
+  assert.deepEqual(
+    index
+      .heads('a')
+      .map((entry) => entry.hash)
+      .sort(),
+    ['h2', 'h3']
+  );
+
+  log.append('h4', 'PUT', 'a', { title: 'Merged', basedOn: ['h2', 'h3'] }, 3);
+  await index.sync();
+  assert.deepEqual(
+    index.heads('a').map((entry) => entry.hash),
+    ['h4']
+  );
+});
+
+test('sync only reads entries it has not indexed yet', async () => {
+  const log = createLog();
+  for (let i = 1; i <= 20; i++) {
+    log.append(`h${i}`, 'PUT', `k${i}`, { title: `T${i}`, basedOn: [] }, i);
+  }
+
+  const index = new RevisionIndex(log);
+  await index.sync();
+  const readsAfterFirstSync = log.reads;
+
+  log.append('h21', 'PUT', 'k1', { title: 'T1b', basedOn: ['h1'] }, 21);
+  await index.sync();
+
+  assert.equal(log.reads - readsAfterFirstSync, 0);
+  assert.deepEqual(
+    index.history('k1').map((entry) => entry.hash),
+    ['h1', 'h21']
+  );
+});
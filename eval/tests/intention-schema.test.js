@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  INTENTION_SCHEMA_VERSION,
+  listIntentionMigrations,
+  migrateIntention,
+  needsMigration,
+  prepareIntention,
+  validateIntention,
+  withSchemaVersion,
+} from '../../src/lib/intention-schema.js';
+import { LEGACY_EMBEDDING_MODEL_ID } from '../../src/lib/embedding-models.js';
+import {
+  embeddingFingerprint,
+  formatStamp,
+} from '../../src/lib/intention-merge.js';
+
+const ALICE = 'did:test:alice';
+const BOB = 'did:test:bob';
+const CREATED_AT = Date.UTC(2024, 4, 1);
+
+// A document as the first app version wrote it (no schemaVersion)
+const legacy = {
+  intentionId: 'i1',
+  title: 'Walk my dog',
+  tags: 'dogs, pets',
+  keywords: ['Dog', 'dog', 'walk'],
+  createdAt: new Date(CREATED_AT).toISOString(),
+  createdBy: ALICE,
+  embedding: [0.1, 0.2, 0.3],
+};
+
+test('there is one migration per schema version', () => {
+  assert.deepEqual(
+    listIntentionMigrations().map((migration) => migration.version),
+    Array.from({ length: INTENTION_SCHEMA_VERSION }, (_, i) => i + 1)
+  );
+});
+
+test('an unversioned document is upgraded to the current schema', () => {
+  assert.ok(needsMigration(legacy));
+  const migrated = migrateIntention(legacy);
+
+  assert.equal(migrated.schemaVersion, INTENTION_SCHEMA_VERSION);
+  assert.ok(!needsMigration(migrated));
+
+  // 0 → 1: defaults, tags as a list, numeric timestamps
+  assert.equal(migrated._id, 'i1');
+  assert.equal(migrated.description, '');
+  assert.equal(migrated.location, '');
+  assert.equal(migrated.geo, null);
+  assert.equal(migrated.status, 'active');
+  assert.equal(migrated.category, 'general');
+  assert.deepEqual(migrated.tags, ['dogs', 'pets']);
+  assert.equal(migrated.createdAt, CREATED_AT);
+  assert.equal(migrated.updatedAt, CREATED_AT);
+  assert.equal(migrated.expiresAt, null);
+
+  // 1 → 2: lowercased, deduplicated keywords; the legacy embedding model
+  assert.deepEqual(migrated.keywords, ['dog', 'walk']);
+  assert.equal(migrated.embeddingModel, LEGACY_EMBEDDING_MODEL_ID);
+  assert.equal(migrated.embeddingDim, 3);
+
+  // 2 → 3: every present field group stamped at the last update
+  const stamp = formatStamp(CREATED_AT, 0, ALICE);
+  assert.equal(migrated.fieldClocks.title, stamp);
+  assert.equal(migrated.fieldClocks.tags, stamp);
+  assert.equal(migrated.fieldClocks.embedding, stamp);
+  assert.equal(migrated.embeddingSource, embeddingFingerprint(migrated));
+});
+
+test('migration leaves the input and unknown fields alone', () => {
+  const input = { ...legacy, customField: { kept: true } };
+  const snapshot = structuredClone(input);
+  const migrated = migrateIntention(input);
+
+  assert.deepEqual(input, snapshot);
+  assert.deepEqual(migrated.customField, { kept: true });
+});
+
+test('a hidden legacy document gets the moderator stamp for the hidden group', () => {
+  const hiddenAt = CREATED_AT + 1000;
+  const migrated = migrateIntention({
+    ...legacy,
+    hidden: true,
+    hiddenBy: BOB,
+    hiddenAt,
+  });
+
+  assert.equal(migrated.fieldClocks.hidden, formatStamp(hiddenAt, 0, BOB));
+});
+
+test('documents from a newer app version pass through untouched', () => {
+  const newer = {
+    ...legacy,
+    schemaVersion: INTENTION_SCHEMA_VERSION + 1,
+    status: 'paused',
+  };
+  assert.equal(migrateIntention(newer), newer);
+});
+
+test('prepareIntention sanitizes a replicated document and accepts it', () => {
+  const { intention, errors } = prepareIntention({
+    ...legacy,
+    embedding: undefined,
+    title: '  Walk my dog\u0007 ',
+    tags: ['dogs', ' dogs ', ''],
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(intention.title, 'Walk my dog');
+  assert.deepEqual(intention.tags, ['dogs']);
+});
+
+test('prepareIntention rejects documents that break the schema', () => {
+  const current = withSchemaVersion(
+    migrateIntention({ ...legacy, embedding: undefined })
+  );
+
+  assert.match(
+    prepareIntention({ ...current, status: 'paused' }).errors.join(),
+    /unknown status "paused"/
+  );
+  assert.match(
+    prepareIntention({ ...current, category: 'sale' }).errors.join(),
+    /unknown category "sale"/
+  );
+  assert.match(
+    prepareIntention({ ...current, _id: 'other' }).errors.join(),
+    /_id must equal intentionId/
+  );
+  assert.match(
+    prepareIntention({ ...current, basedOn: 'zdpu' }).errors.join(),
+    /basedOn must be a list of entry hashes/
+  );
+  assert.equal(prepareIntention(['not', 'an', 'object']).intention, null);
+});
+
+test('newer documents are only held to the shared fields', () => {
+  const current = migrateIntention({ ...legacy, embedding: undefined });
+  const newer = {
+    ...current,
+    schemaVersion: INTENTION_SCHEMA_VERSION + 1,
+    status: 'paused',
+  };
+  assert.deepEqual(validateIntention(newer), []);
+});
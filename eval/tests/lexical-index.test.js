@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildLexicalIndex,
+  getLexicalIndex,
+  scoreBM25,
+  tokenize,
+} from '../../src/lib/lexical-index.js';
+
+const intentions = [
+  {
+    title: 'Carpool to Oakland',
+    description: 'Weekday mornings',
+    tags: ['commute'],
+  },
+  {
+    title: 'Garden help',
+    description: 'Looking for someone to share a carpool to the nursery',
+    tags: ['garden'],
+  },
+  { title: 'Piano lessons', description: 'Beginner friendly', tags: ['music'] },
+];
+
+test('tokenize lowercases, drops stopwords and stems plurals', () => {
+  assert.deepEqual(tokenize('Looking for the CARPOOLS to Oakland'), [
+    'carpool',
+    'oakland',
+  ]);
+  assert.deepEqual(tokenize('Cities and dogs'), ['city', 'dog']);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('BM25 only scores matching documents and weights the title', () => {
+  const scores = scoreBM25(buildLexicalIndex(intentions), 'carpool');
+
+  assert.deepEqual([...scores.keys()].sort(), [0, 1]);
+  assert.ok(scores.get(0) > scores.get(1));
+});
+
+test('a rarer term outweighs a common one', () => {
+  const index = buildLexicalIndex([
+    { title: 'Dog walk', description: '' },
+    { title: 'Dog sitting', description: '' },
+    { title: 'Dog food', description: 'Spare kibble' },
+  ]);
+  const scores = scoreBM25(index, 'dog kibble');
+
+  assert.equal(scores.size, 3);
+  assert.ok(scores.get(2) > scores.get(0));
+  assert.ok(scores.get(0) > 0);
+});
+
+test('the index is cached per intentions array', () => {
+  assert.equal(getLexicalIndex(intentions), getLexicalIndex(intentions));
+  assert.notEqual(
+    getLexicalIndex(intentions),
+    getLexicalIndex([...intentions])
+  );
+});
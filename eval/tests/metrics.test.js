@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  averageScores,
+  ndcgAtK,
+  recallAtK,
+  reciprocalRank,
+  scoreQuery,
+} from '../metrics.js';
+
+const judgements = { a: 3, b: 1, c: 0 };
+
+test('a perfect ranking scores 1', () => {
+  assert.deepEqual(scoreQuery(['a', 'b', 'c'], judgements, 5), {
+    ndcg: 1,
+    mrr: 1,
+    recall: 1,
+  });
+});
+
+test('nDCG rewards putting the better result first', () => {
+  const swapped = ndcgAtK(['b', 'a'], judgements, 5);
+  assert.ok(swapped < 1);
+  assert.ok(swapped > ndcgAtK(['c', 'b', 'a'], judgements, 5));
+  assert.equal(ndcgAtK(['c'], judgements, 5), 0);
+});
+
+test('reciprocal rank and recall use the first k results', () => {
+  assert.equal(reciprocalRank(['c', 'x', 'b'], judgements), 1 / 3);
+  assert.equal(reciprocalRank(['c'], judgements), 0);
+  assert.equal(recallAtK(['a', 'c', 'x', 'y', 'z', 'b'], judgements, 5), 0.5);
+});
+
+test('queries without relevant results count as solved', () => {
+  assert.equal(ndcgAtK([], { a: 0 }, 5), 1);
+  assert.equal(recallAtK(['x'], {}, 5), 1);
+});
+
+test('averageScores takes the mean per metric', () => {
+  assert.deepEqual(
+    averageScores([
+      { ndcg: 1, mrr: 0.5 },
+      { ndcg: 0.5, mrr: 0 },
+    ]),
+    { ndcg: 0.75, mrr: 0.25 }
+  );
+});
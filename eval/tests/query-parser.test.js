@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  hasQueryOperators,
+  parseSearchQuery,
+} from '../../src/lib/query-parser.js';
+import { computeFacets, matchesFilters } from '../../src/lib/search-filters.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 0, 1);
+
+test('operators become filters and the rest stays free text', () => {
+  const parsed = parseSearchQuery(
+    'free tag:moving,Boxes category:offer furniture tag:boxes within:3mi since:7d',
+    { now: NOW }
+  );
+
+  assert.equal(parsed.text, 'free furniture');
+  assert.deepEqual(parsed.filters, {
+    tagsAny: ['moving', 'boxes'],
+    category: ['offer'],
+    maxDistanceKm: 3 * 1.609344,
+    createdAfter: NOW - 7 * DAY_MS,
+  });
+  assert.deepEqual(parsed.errors, []);
+  assert.ok(hasQueryOperators(parsed));
+});
+
+test('tag: matches tags whatever case they were typed in', () => {
+  const intention = { status: 'active', tags: ['Moving', 'boxes'] };
+
+  assert.ok(matchesFilters(intention, parseSearchQuery('tag:moving').filters));
+  assert.ok(matchesFilters(intention, parseSearchQuery('tag:Moving').filters));
+  assert.ok(!matchesFilters(intention, parseSearchQuery('tag:bikes').filters));
+  assert.deepEqual(computeFacets([intention, { tags: ['moving'] }]).tags, {
+    moving: 2,
+    boxes: 1,
+  });
+});
+
+test('near: takes quoted places and defaults the radius', () => {
+  const parsed = parseSearchQuery('bike repair near:"el cerrito"');
+
+  assert.equal(parsed.text, 'bike repair');
+  assert.equal(parsed.place, 'el cerrito');
+  assert.equal(parsed.filters.maxDistanceKm, 10);
+});
+
+test('by:me resolves to the signed-in identity', () => {
+  assert.deepEqual(
+    parseSearchQuery('by:me', { userIdentity: 'did:test:alice' }).filters,
+    { createdBy: ['did:test:alice'] }
+  );
+  assert.deepEqual(parseSearchQuery('by:me').errors, [
+    { operator: 'by', message: '"by:me" needs you to be signed in' },
+  ]);
+});
+
+test('dates and malformed values', () => {
+  const parsed = parseSearchQuery(
+    'before:2024-05-01 status:paused within:far since:',
+    { now: NOW }
+  );
+
+  assert.equal(parsed.filters.createdBefore, Date.parse('2024-05-01'));
+  assert.deepEqual(
+    parsed.errors.map((error) => error.operator),
+    ['status', 'within', 'since']
+  );
+  assert.match(parsed.errors[0].message, /try active, completed, archived/);
+});
+
+test('unknown operators and URLs are left in the text', () => {
+  const parsed = parseSearchQuery('note:bring https://example.org');
+
+  assert.equal(parsed.text, 'note:bring https://example.org');
+  assert.ok(!hasQueryOperators(parsed));
+});
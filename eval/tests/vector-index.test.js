@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HnswIndex } from '../../src/lib/vector-index.js';
+import { dot, normalize } from '../../src/lib/vector-math.js';
+
+const DIMENSION = 16;
+
+// Deterministic pseudo-random vectors (mulberry32)
+function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomVectors(count, seed = 1) {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, () =>
+    Array.from({ length: DIMENSION }, () => random() * 2 - 1)
+  );
+}
+
+function exactNearest(vectors, query, k) {
+  const unitQuery = normalize(query);
+  return vectors
+    .map((vector, i) => ({
+      id: `v${i}`,
+      similarity: dot(unitQuery, normalize(vector)),
+    }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k)
+    .map((result) => result.id);
+}
+
+function buildIndex(vectors) {
+  const index = new HnswIndex({ M: 8, efConstruction: 64, efSearch: 64 });
+  vectors.forEach((vector, i) => index.add(`v${i}`, vector, i));
+  return index;
+}
+
+test('normalize returns a unit copy', () => {
+  const vector = [3, 4];
+  const unit = normalize(vector);
+  assert.deepEqual([...unit], [0.6000000238418579, 0.800000011920929]);
+  assert.deepEqual(vector, [3, 4]);
+  assert.ok(Math.abs(dot(unit, unit) - 1) < 1e-6);
+});
+
+test('search finds the exact nearest neighbours of a small set', () => {
+  const vectors = randomVectors(200);
+  const index = buildIndex(vectors);
+  const [query] = randomVectors(1, 99);
+
+  const found = index.search(query, 5).map((result) => result.id);
+  assert.deepEqual(found, exactNearest(vectors, query, 5));
+  assert.equal(index.search(vectors[42], 1)[0].id, 'v42');
+});
+
+test('removed and replaced vectors are not returned', () => {
+  const vectors = randomVectors(50);
+  const index = buildIndex(vectors);
+
+  assert.ok(index.remove('v7'));
+  assert.ok(!index.remove('v7'));
+  assert.ok(!index.has('v7'));
+  assert.notEqual(index.search(vectors[7], 1)[0].id, 'v7');
+
+  index.add('v8', vectors[9], 'new');
+  assert.equal(index.getVersion('v8'), 'new');
+  assert.equal(index.size, 49);
+  assert.deepEqual(
+    index
+      .search(vectors[9], 2)
+      .map((result) => result.id)
+      .sort(),
+    ['v8', 'v9']
+  );
+});
+
+test('compaction drops tombstones and keeps the live vectors', () => {
+  const vectors = randomVectors(40);
+  const index = buildIndex(vectors);
+  for (let i = 0; i < 20; i++) index.remove(`v${i}`);
+
+  assert.ok(index.needsCompaction());
+  index.compact();
+  assert.equal(index.nodes.length, 20);
+  assert.equal(index.deletedCount, 0);
+  assert.equal(index.search(vectors[30], 1)[0].id, 'v30');
+});
+
+test('a snapshot (as stored in IndexedDB) restores the same index', () => {
+  const vectors = randomVectors(60);
+  const index = buildIndex(vectors);
+  index.remove('v3');
+
+  const restored = HnswIndex.fromJSON(structuredClone(index.toJSON()));
+  const [query] = randomVectors(1, 7);
+
+  assert.equal(restored.size, index.size);
+  assert.deepEqual(restored.search(query, 5), index.search(query, 5));
+  assert.equal(HnswIndex.fromJSON({ snapshotVersion: 0 }), null);
+});
+
+test('vectors of another dimension are rejected', () => {
+  const index = buildIndex(randomVectors(3));
+  assert.throws(() => index.add('bad', [1, 2, 3]), /dimension 3/);
+  assert.deepEqual(index.search([1, 2, 3]), []);
+});
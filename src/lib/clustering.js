@@ -0,0 +1,302 @@
+/**
+ * Clustering - topical k-means clusters over stored intention embeddings
+ * Powers the browse-by-topic screen. Spherical k-means (cosine) with k-means++ seeding;
+ * passing the previous clustering warm-starts from its centroids, so clusters keep their
+ * ids and labels while allIntentions grows.
+ */
+
+import {
+  getActiveEmbeddingModel,
+  isEmbeddingCurrent,
+} from './embedding-models.js';
+import { decodeEmbedding } from './embedding-codec.js';
+import { tokenize } from './lexical-index.js';
+import { dot, normalize } from './vector-math.js';
+
+/**
+ * @typedef {Object} TopicCluster
+ * @property {number} id - Stable cluster id (kept across warm starts)
+ * @property {string} label - Display label from keywords or tags
+ * @property {string[]} keywords - Most distinctive words
+ * @property {string[]} tags - Most frequent tags
+ * @property {string[]} titles - Representative titles
+ * @property {string[]} intentionIds - Members, closest to the centroid first
+ * @property {number} size - Number of members
+ * @property {Float32Array} centroid - Unit centroid
+ */
+
+/**
+ * @typedef {Object} TopicClustering
+ * @property {string} modelId - Embedding model the clusters were computed with
+ * @property {TopicCluster[]} clusters - Clusters, largest first
+ * @property {string[]} unclustered - Intentions without a current embedding
+ */
+
+// Cluster count bounds for the automatic k (≈ sqrt(n / 2))
+const MIN_CLUSTERS = 2;
+const MAX_CLUSTERS = 12;
+
+// Label keywords and representative titles per cluster
+const LABEL_KEYWORDS = 3;
+const REPRESENTATIVE_TITLES = 3;
+
+/**
+ * Deterministic PRNG (mulberry32) so the same data gives the same clusters
+ * @param {number} seed - Seed
+ * @returns {() => number} Number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Default number of clusters for n intentions
+ * @param {number} n - Number of embedded intentions
+ * @returns {number} k
+ */
+export function defaultClusterCount(n) {
+  if (n < MIN_CLUSTERS * 2) return Math.min(n, 1);
+  return Math.max(
+    MIN_CLUSTERS,
+    Math.min(MAX_CLUSTERS, Math.round(Math.sqrt(n / 2)))
+  );
+}
+
+/**
+ * k-means++ seeding: each new centroid is drawn with probability ∝ distance to the nearest one
+ * @param {Array<Float32Array>} vectors - Unit vectors
+ * @param {Array<Float32Array>} centroids - Already chosen centroids (extended in place)
+ * @param {number} k - Target number of centroids
+ * @param {() => number} random - PRNG
+ */
+function seedCentroids(vectors, centroids, k, random) {
+  if (centroids.length === 0)
+    centroids.push(vectors[Math.floor(random() * vectors.length)]);
+
+  while (centroids.length < k) {
+    const distances = vectors.map((vector) =>
+      Math.max(
+        0,
+        1 - Math.max(...centroids.map((centroid) => dot(vector, centroid)))
+      )
+    );
+    const total = distances.reduce((sum, d) => sum + d, 0);
+    if (total === 0) break; // fewer distinct points than k
+
+    let target = random() * total;
+    let index = 0;
+    while (index < distances.length - 1 && target > distances[index]) {
+      target -= distances[index];
+      index++;
+    }
+    centroids.push(vectors[index]);
+  }
+}
+
+/**
+ * Spherical k-means: assign to the most similar centroid, recompute normalized means
+ * @param {Array<Float32Array>} vectors - Unit vectors
+ * @param {Array<Float32Array>} centroids - Initial centroids
+ * @param {number} maxIterations - Iteration cap
+ * @returns {{assignments: number[], centroids: Array<Float32Array>}}
+ */
+function runKMeans(vectors, centroids, maxIterations) {
+  let assignments = new Array(vectors.length).fill(-1);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changed = false;
+    assignments = vectors.map((vector, i) => {
+      let best = 0;
+      let bestSimilarity = -Infinity;
+      centroids.forEach((centroid, c) => {
+        const similarity = dot(vector, centroid);
+        if (similarity > bestSimilarity) {
+          bestSimilarity = similarity;
+          best = c;
+        }
+      });
+      if (best !== assignments[i]) changed = true;
+      return best;
+    });
+    if (!changed) break;
+
+    centroids = centroids.map((centroid, c) => {
+      const sum = new Float32Array(centroid.length);
+      let members = 0;
+      vectors.forEach((vector, i) => {
+        if (assignments[i] !== c) return;
+        for (let d = 0; d < sum.length; d++) sum[d] += vector[d];
+        members++;
+      });
+      return members > 0 ? normalize(sum) : centroid; // empty clusters keep their centroid
+    });
+  }
+
+  return { assignments, centroids };
+}
+
+/**
+ * Surface words of a text keyed by stem (first spelling wins)
+ * @param {string} text - Text
+ * @returns {Map<string, string>} stem -> word
+ */
+function wordsByStem(text) {
+  const words = new Map();
+  for (const [word] of String(text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+    const [stem] = tokenize(word);
+    if (stem && !words.has(stem)) words.set(stem, word.toLowerCase());
+  }
+  return words;
+}
+
+/**
+ * Label clusters by their most distinctive words (class-based TF-IDF over titles and tags)
+ * @param {Array<Array<Object<string, *>>>} groups - Intentions per cluster
+ * @returns {Array<string[]>} Keywords per cluster
+ */
+function labelKeywords(groups) {
+  const spellings = new Map();
+  const termCounts = groups.map((intentions) => {
+    const counts = new Map();
+    for (const intention of intentions) {
+      const text = `${intention.title || ''} ${(intention.tags || []).join(' ').replace(/[-_]/g, ' ')}`;
+      for (const [stem, word] of wordsByStem(text)) {
+        counts.set(stem, (counts.get(stem) || 0) + 1);
+        if (!spellings.has(stem)) spellings.set(stem, word);
+      }
+    }
+    return counts;
+  });
+
+  const clusterFrequency = new Map();
+  for (const counts of termCounts) {
+    for (const stem of counts.keys())
+      clusterFrequency.set(stem, (clusterFrequency.get(stem) || 0) + 1);
+  }
+
+  return termCounts.map((counts, c) =>
+    [...counts]
+      .filter(([, count]) => count > 1 || groups[c].length === 1)
+      .map(([stem, count]) => ({
+        stem,
+        weight:
+          (count / groups[c].length) *
+          Math.log(1 + groups.length / clusterFrequency.get(stem)),
+      }))
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, LABEL_KEYWORDS)
+      .map(({ stem }) => spellings.get(stem))
+  );
+}
+
+/**
+ * Most frequent tags of a cluster
+ * @param {Array<Object<string, *>>} intentions - Cluster members
+ * @param {number} [limit] - Maximum tags
+ * @returns {string[]} Tags, most frequent first
+ */
+function topTags(intentions, limit = 5) {
+  /** @type {Map<string, number>} */
+  const counts = new Map();
+  for (const tag of intentions.flatMap((i) => i.tags || []))
+    counts.set(tag, (counts.get(tag) || 0) + 1);
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([tag]) => tag);
+}
+
+/**
+ * Group intentions into topical clusters
+ * @param {Array<Object<string, *>>} intentions - Intentions to cluster (only current-model embeddings are used)
+ * @param {Object} [options] - Clustering options
+ * @param {number} [options.k] - Number of clusters (default: defaultClusterCount)
+ * @param {TopicClustering|null} [options.previous] - Previous result of clusterIntentions (warm start, stable ids)
+ * @param {number} [options.maxIterations] - k-means iteration cap (default 25)
+ * @param {number} [options.seed] - PRNG seed (default 42)
+ * @returns {TopicClustering} Clusters and the intentions left out
+ */
+export function clusterIntentions(intentions, options = {}) {
+  const model = getActiveEmbeddingModel();
+  const embedded = intentions.filter((intention) =>
+    isEmbeddingCurrent(intention, model)
+  );
+  const unclustered = intentions
+    .filter((intention) => !isEmbeddingCurrent(intention, model))
+    .map((intention) => intention.intentionId);
+
+  const { previous = null, maxIterations = 25, seed = 42 } = options;
+  const k = Math.min(
+    options.k ?? defaultClusterCount(embedded.length),
+    embedded.length
+  );
+  if (k === 0) return { modelId: model.id, clusters: [], unclustered };
+
+  const vectors = embedded.map((intention) =>
+    normalize(decodeEmbedding(intention.embedding))
+  );
+  const random = createRandom(seed);
+
+  // Warm start: the previous clusters' centroids (largest first), topped up with k-means++
+  const warm = previous?.modelId === model.id ? previous.clusters : [];
+  const initial = [...warm]
+    .sort((a, b) => b.size - a.size)
+    .slice(0, k)
+    .filter((cluster) => cluster.centroid.length === model.dimension);
+  const centroids = initial.map((cluster) => cluster.centroid);
+  seedCentroids(vectors, centroids, k, random);
+
+  const result = runKMeans(vectors, centroids, maxIterations);
+
+  /** @type {Array<Array<Object<string, *>>>} */
+  const groups = result.centroids.map(() => []);
+  /** @type {number[][]} */
+  const similarities = result.centroids.map(() => []);
+  result.assignments.forEach((c, i) => {
+    groups[c].push(embedded[i]);
+    similarities[c].push(dot(vectors[i], result.centroids[c]));
+  });
+
+  const keywords = labelKeywords(groups);
+  let nextId = warm.reduce(
+    (next, cluster) => Math.max(next, cluster.id + 1),
+    0
+  );
+
+  const clusters = result.centroids
+    .map((centroid, c) => {
+      // Members ordered by closeness to the centroid: the first titles represent the cluster
+      const members = groups[c]
+        .map((intention, m) => ({ intention, similarity: similarities[c][m] }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .map(({ intention }) => intention);
+      if (members.length === 0) return null;
+
+      const tags = topTags(members);
+      const labelWords =
+        keywords[c].length > 0 ? keywords[c] : tags.slice(0, LABEL_KEYWORDS);
+      return {
+        id: c < initial.length ? initial[c].id : nextId++,
+        label: labelWords.join(' · ') || members[0].title,
+        keywords: keywords[c],
+        tags,
+        titles: members
+          .slice(0, REPRESENTATIVE_TITLES)
+          .map((intention) => intention.title),
+        intentionIds: members.map((intention) => intention.intentionId),
+        size: members.length,
+        centroid,
+      };
+    })
+    .filter((cluster) => cluster !== null)
+    .sort((a, b) => b.size - a.size);
+
+  return { modelId: model.id, clusters, unclustered };
+}
@@ -1,6 +1,20 @@
-import { IPFSAccessController } from '@orbitdb/core';
+import { useAccessController } from '@orbitdb/core';
 import { logger } from '@libp2p/logger';
 import { embedIntention } from './intention-search-engine.js';
+import { clearAllSearchHistory } from './search-history.js';
+import {
+  needsMigration,
+  withSchemaVersion,
+  prepareIntention,
+  validateIntention
+} from './intention-schema.js';
+import { IntentionAccessController, MODERATION_FIELDS } from './intention-access.js';
+import { buildRevisions, RESTORABLE_FIELDS } from './intention-history.js';
+import { mergeIntentionRevisions, observeStamps, stampChanges } from './intention-merge.js';
+import { RevisionIndex } from './intention-revisions.js';
+
+// Databases created with the owner-only controller name it in their manifest
+useAccessController(IntentionAccessController);
 
 // Create database logger
 const dbLog = logger('syncengine:database');
@@ -20,7 +34,18 @@ export function getVerificationForIntention(intentionId) {
 // IndexedDB cache for instant loading
 const CACHE_DB_NAME = 'syncengine-cache';
 const CACHE_STORE_NAME = 'intentions';
-const CACHE_VERSION = 1;
+const VECTOR_INDEX_STORE_NAME = 'vector-index';
+const VECTOR_INDEX_KEY = 'intentions-hnsw';
+const SAVED_SEARCHES_STORE_NAME = 'saved-searches';
+const SEARCH_ALERTS_STORE_NAME = 'search-alerts';
+const QUARANTINE_STORE_NAME = 'quarantine';
+const CACHE_VERSION = 4;
+
+// Listeners for intentions arriving through database update events
+const intentionUpdateListeners = new Set();
+
+// Listeners notified whenever the quarantine (invalid replicated entries) changes
+const quarantineListeners = new Set();
 
 /**
  * Opens the IndexedDB cache for intentions
@@ -39,6 +64,20 @@ async function openCacheDB() {
         const store = db.createObjectStore(CACHE_STORE_NAME, { keyPath: 'intentionId' });
         store.createIndex('createdAt', 'createdAt', { unique: false });
       }
+      if (!db.objectStoreNames.contains(VECTOR_INDEX_STORE_NAME)) {
+        db.createObjectStore(VECTOR_INDEX_STORE_NAME);
+      }
+      if (!db.objectStoreNames.contains(SAVED_SEARCHES_STORE_NAME)) {
+        const store = db.createObjectStore(SAVED_SEARCHES_STORE_NAME, { keyPath: 'id' });
+        store.createIndex('identity', 'identity', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(SEARCH_ALERTS_STORE_NAME)) {
+        const store = db.createObjectStore(SEARCH_ALERTS_STORE_NAME, { keyPath: 'id' });
+        store.createIndex('identity', 'identity', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(QUARANTINE_STORE_NAME)) {
+        db.createObjectStore(QUARANTINE_STORE_NAME, { keyPath: 'id' });
+      }
     };
   });
 }
@@ -56,7 +95,11 @@ export async function loadIntentionsFromCache() {
       const request = store.getAll();
 
       request.onsuccess = () => {
-        const intentions = request.result.sort((a, b) => b.createdAt - a.createdAt);
+        // Cached copies may predate the current schema (or its validation rules)
+        const intentions = request.result
+          .map((value) => prepareIntention(value).intention)
+          .filter((intention) => intention !== null)
+          .sort((a, b) => b.createdAt - a.createdAt);
         console.log('📦 Loaded', intentions.length, 'intentions from cache');
         resolve(intentions);
       };
@@ -120,6 +163,273 @@ export async function clearIntentionsCache() {
   }
 }
 
+/**
+ * Loads the persisted vector (ANN) index snapshot
+ * @returns {Promise<Object<string, *>|null>} Snapshot from HnswIndex.toJSON() or null
+ */
+export async function loadVectorIndexFromCache() {
+  try {
+    const db = await openCacheDB();
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([VECTOR_INDEX_STORE_NAME], 'readonly');
+      const request = transaction.objectStore(VECTOR_INDEX_STORE_NAME).get(VECTOR_INDEX_KEY);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.warn('⚠️ Failed to load vector index from cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Persists a vector (ANN) index snapshot next to the intentions cache
+ * @param {Object<string, *>} snapshot - Snapshot from HnswIndex.toJSON()
+ */
+export async function saveVectorIndexToCache(snapshot) {
+  try {
+    const db = await openCacheDB();
+    const transaction = db.transaction([VECTOR_INDEX_STORE_NAME], 'readwrite');
+    transaction.objectStore(VECTOR_INDEX_STORE_NAME).put(snapshot, VECTOR_INDEX_KEY);
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(undefined);
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    console.log('💾 Cached vector index with', snapshot.nodes.length, 'nodes');
+  } catch (error) {
+    console.warn('⚠️ Failed to save vector index to cache:', error);
+  }
+}
+
+/**
+ * Loads every record of an identity from a per-identity store
+ * @param {string} storeName - Object store with an 'identity' index
+ * @param {string} identity - Identity DID
+ * @returns {Promise<Array<*>>} Records
+ */
+async function loadIdentityRecords(storeName, identity) {
+  const db = await openCacheDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], 'readonly');
+    const request = transaction.objectStore(storeName).index('identity').getAll(identity);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Writes (puts) and deletes records in a single transaction
+ * @param {string} storeName - Object store name
+ * @param {Array<Object<string, *>>} [records] - Records to put
+ * @param {Array<string>} [deleteIds] - Keys to delete
+ */
+async function writeRecords(storeName, records = [], deleteIds = []) {
+  const db = await openCacheDB();
+  const transaction = db.transaction([storeName], 'readwrite');
+  const store = transaction.objectStore(storeName);
+  for (const record of records) store.put(record);
+  for (const id of deleteIds) store.delete(id);
+
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(undefined);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Loads the saved searches of an identity
+ * @param {string} identity - Identity DID
+ * @returns {Promise<Array<import('./saved-searches.js').SavedSearch>>} Saved searches, oldest first
+ */
+export async function loadSavedSearches(identity) {
+  try {
+    const searches = await loadIdentityRecords(SAVED_SEARCHES_STORE_NAME, identity);
+    return searches.sort((a, b) => a.createdAt - b.createdAt);
+  } catch (error) {
+    console.warn('⚠️ Failed to load saved searches:', error);
+    return [];
+  }
+}
+
+/**
+ * Saves (creates or updates) a saved search
+ * @param {import('./saved-searches.js').SavedSearch} search - Saved search with id and identity
+ */
+export async function saveSavedSearch(search) {
+  try {
+    await writeRecords(SAVED_SEARCHES_STORE_NAME, [search]);
+    console.log('💾 Saved search:', search.name);
+  } catch (error) {
+    console.warn('⚠️ Failed to save search:', error);
+  }
+}
+
+/**
+ * Deletes a saved search and its alerts
+ * @param {string} searchId - Saved search ID
+ * @param {Array<string>} [alertIds] - IDs of the search's alerts
+ */
+export async function deleteSavedSearch(searchId, alertIds = []) {
+  try {
+    await writeRecords(SAVED_SEARCHES_STORE_NAME, [], [searchId]);
+    await writeRecords(SEARCH_ALERTS_STORE_NAME, [], alertIds);
+    console.log('🗑️ Deleted saved search:', searchId);
+  } catch (error) {
+    console.warn('⚠️ Failed to delete saved search:', error);
+  }
+}
+
+/**
+ * Loads the saved-search alerts (inbox) of an identity
+ * @param {string} identity - Identity DID
+ * @returns {Promise<Array<import('./saved-searches.js').SearchAlert>>} Alerts, newest first
+ */
+export async function loadSearchAlerts(identity) {
+  try {
+    const alerts = await loadIdentityRecords(SEARCH_ALERTS_STORE_NAME, identity);
+    return alerts.sort((a, b) => b.receivedAt - a.receivedAt);
+  } catch (error) {
+    console.warn('⚠️ Failed to load search alerts:', error);
+    return [];
+  }
+}
+
+/**
+ * Saves (creates or updates) saved-search alerts
+ * @param {Array<import('./saved-searches.js').SearchAlert>} alerts - Alerts with id and identity
+ */
+export async function saveSearchAlerts(alerts) {
+  if (alerts.length === 0) return;
+  try {
+    await writeRecords(SEARCH_ALERTS_STORE_NAME, alerts);
+  } catch (error) {
+    console.warn('⚠️ Failed to save search alerts:', error);
+  }
+}
+
+/**
+ * @typedef {Object} QuarantineRecord
+ * @property {string} id - Document key (or entry hash)
+ * @property {string|null} entryHash - OrbitDB entry hash
+ * @property {string|null} intentionId - Claimed intention ID (truncated)
+ * @property {string|null} title - Claimed title (truncated)
+ * @property {string|null} createdBy - Claimed creator (truncated)
+ * @property {string|null} writer - Identity that wrote the entry
+ * @property {Array<string>} errors - Validation problems
+ * @property {*} value - The document as replicated
+ * @property {number} quarantinedAt - When it was first quarantined
+ * @property {boolean} dismissed - Reviewed and hidden from the panel
+ */
+
+/**
+ * Builds the quarantine record for an invalid replicated entry
+ * @param {Object<string, *>} entry - { key, value, hash, identity? } as returned by OrbitDB
+ * @param {Array<string>} errors - Validation problems
+ * @returns {QuarantineRecord} Quarantine record
+ */
+function createQuarantineRecord(entry, errors) {
+  const value = entry.value;
+  /** @param {string} field */
+  const text = (field) => (typeof value?.[field] === 'string' ? value[field].slice(0, 200) : null);
+
+  return {
+    id: String(entry.key ?? entry.hash),
+    entryHash: entry.hash || null,
+    intentionId: text('intentionId'),
+    title: text('title'),
+    createdBy: text('createdBy'),
+    writer: entry.identity ? String(entry.identity) : null,
+    errors,
+    value,
+    quarantinedAt: Date.now(),
+    dismissed: false
+  };
+}
+
+/**
+ * Replaces the quarantine with the invalid entries of a full load
+ * Records for the same entry keep their dismissed flag; entries that became valid are dropped.
+ * @param {Array<QuarantineRecord>} records - Current quarantine records
+ */
+async function replaceQuarantine(records) {
+  const existing = new Map((await loadQuarantine({ includeDismissed: true })).map((r) => [r.id, r]));
+  const merged = records.map((record) => {
+    const previous = existing.get(record.id);
+    return previous && previous.entryHash === record.entryHash
+      ? { ...record, quarantinedAt: previous.quarantinedAt, dismissed: previous.dismissed }
+      : record;
+  });
+  const currentIds = new Set(merged.map((record) => record.id));
+  const staleIds = [...existing.keys()].filter((id) => !currentIds.has(id));
+
+  await writeRecords(QUARANTINE_STORE_NAME, merged, staleIds);
+  quarantineListeners.forEach((listener) => listener());
+}
+
+/**
+ * Loads quarantined (invalid) entries replicated from peers
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.includeDismissed] - Include entries already reviewed (default false)
+ * @returns {Promise<Array<QuarantineRecord>>} Quarantine records, newest first
+ */
+export async function loadQuarantine(options = {}) {
+  const { includeDismissed = false } = options;
+  try {
+    const db = await openCacheDB();
+    /** @type {Array<QuarantineRecord>} */
+    const records = await new Promise((resolve, reject) => {
+      const transaction = db.transaction([QUARANTINE_STORE_NAME], 'readonly');
+      const request = transaction.objectStore(QUARANTINE_STORE_NAME).getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return records
+      .filter((record) => includeDismissed || !record.dismissed)
+      .sort((a, b) => b.quarantinedAt - a.quarantinedAt);
+  } catch (error) {
+    console.warn('⚠️ Failed to load quarantine:', error);
+    return [];
+  }
+}
+
+/**
+ * Marks quarantined entries as reviewed (they stay hidden until the entry changes)
+ * @param {Array<string>} ids - Quarantine record IDs
+ */
+export async function dismissQuarantined(ids) {
+  try {
+    const records = (await loadQuarantine({ includeDismissed: true }))
+      .filter((record) => ids.includes(record.id))
+      .map((record) => ({ ...record, dismissed: true }));
+    await writeRecords(QUARANTINE_STORE_NAME, records);
+    quarantineListeners.forEach((listener) => listener());
+  } catch (error) {
+    console.warn('⚠️ Failed to dismiss quarantined entries:', error);
+  }
+}
+
+/**
+ * Subscribes to quarantine changes
+ * @param {Function} listener - Called (without arguments) after every change
+ * @returns {Function} Unsubscribe function
+ */
+export function onQuarantineChange(listener) {
+  quarantineListeners.add(listener);
+  return () => quarantineListeners.delete(listener);
+}
+
+/**
+ * Subscribes to intentions arriving through database update events
+ * @param {Function} listener - Called with (intention, entry) for every PUT
+ * @returns {Function} Unsubscribe function
+ */
+export function onIntentionUpdate(listener) {
+  intentionUpdateListeners.add(listener);
+  return () => intentionUpdateListeners.delete(listener);
+}
+
 /**
  * Completely resets all stored data for a fresh start
  * Clears localStorage, IndexedDB cache, and OrbitDB/Helia storage
@@ -133,6 +443,10 @@ export async function resetAllData() {
     localStorage.removeItem('webauthn-credential');
     localStorage.removeItem('active-intention-id');
     localStorage.removeItem('attention-switch-log');
+    localStorage.removeItem('embedding-storage-format');
+    localStorage.removeItem('label-suggestion-feedback');
+    localStorage.removeItem('voice-language');
+    clearAllSearchHistory();
     console.log('✅ Cleared localStorage');
 
     // Clear intentions cache
@@ -285,14 +599,18 @@ export function clearDatabaseFromURL() {
  * @param {Object} orbitdb - The OrbitDB instance
  * @param {Object} identity - The WebAuthn identity
  * @param {Object} identities - The OrbitDB identities instance
- * @param {Object} libp2p - The libp2p instance (optional, for direct peer dialing)
+ * @param {Object|null} [libp2p] - The libp2p instance (optional, for direct peer dialing)
+ * @param {Object} [options] - Database options
+ * @param {Array<string>} [options.moderators] - DIDs allowed to hide intentions in a newly created
+ *   database (its creator always can)
  * @returns {Object} The opened database instance
  */
-export async function openIntentionsDatabase(orbitdb, identity, identities, libp2p = null) {
+export async function openIntentionsDatabase(orbitdb, identity, identities, libp2p = null, options = {}) {
+  const { moderators = [] } = options;
   const ipfsInstance = orbitdb.ipfs;
 
   console.log('🌍 Opening global shared database...');
-  console.log('🔓 Database access: collaborative (all users can write)');
+  console.log('🔐 Database access: anyone can create, only creators can change their intentions');
 
   // Priority 1: Check URL parameter (magic link invitation)
   const urlAddress = getDatabaseAddressFromURL();
@@ -423,9 +741,7 @@ export async function openIntentionsDatabase(orbitdb, identity, identities, libp
         indexBy: 'intentionId',
         create: true,
         sync: true,
-        accessController: IPFSAccessController({
-          write: ['*']  // Allow all users to write (collaborative database)
-        })
+        AccessController: IntentionAccessController({ moderators })
       }),
       new Promise((_, reject) =>
         setTimeout(
@@ -449,6 +765,10 @@ export async function openIntentionsDatabase(orbitdb, identity, identities, libp
     isNew: isNewDatabase
   });
 
+  if (database.access?.type !== IntentionAccessController.type) {
+    console.warn('⚠️ This database predates owner-only access: any peer can still change any intention, ownership is only checked for writes from this device (see README, Access Control)');
+  }
+
   console.log('📋 Share this address with other devices to sync:');
   console.log('   ', database.address);
 
@@ -482,6 +802,41 @@ function setupDatabaseEventListeners(database, ipfs, identities) {
       identity: entry?.identity?.toString ? entry.identity.toString().substring(0, 20) + '...' : 'unknown'
     });
 
+    // Hand the written intention to subscribers (saved-search alerts), unless it is invalid
+    const { op, key, value } = entry?.payload || {};
+    if (op === 'PUT' && value) {
+      const { intention, errors } = prepareIntention(value);
+      const record = createQuarantineRecord({ key, value, hash: entry.hash, identity: entry.identity }, errors);
+      if (!intention) {
+        console.warn('🚧 Quarantined invalid entry from peer:', record.id, errors);
+        try {
+          const previous = (await loadQuarantine({ includeDismissed: true })).find((r) => r.id === record.id);
+          if (!previous || previous.entryHash !== record.entryHash) {
+            await writeRecords(QUARANTINE_STORE_NAME, [record]);
+            quarantineListeners.forEach((listener) => listener());
+          }
+        } catch (error) {
+          console.warn('⚠️ Failed to quarantine entry:', error);
+        }
+        return;
+      }
+
+      // A valid version replaces whatever was quarantined under this key
+      try {
+        await writeRecords(QUARANTINE_STORE_NAME, [], [record.id]);
+      } catch (error) {
+        console.warn('⚠️ Failed to update quarantine:', error);
+      }
+
+      for (const listener of intentionUpdateListeners) {
+        try {
+          await listener(intention, entry);
+        } catch (error) {
+          console.warn('⚠️ Intention update listener failed:', error);
+        }
+      }
+    }
+
     // Get updated intentions count
     try {
       const allEntries = await database.all();
@@ -496,6 +851,71 @@ function setupDatabaseEventListeners(database, ipfs, identities) {
   });
 }
 
+// database -> RevisionIndex, built on first read (see intention-revisions.js)
+/** @type {WeakMap<Object, RevisionIndex>} */
+const revisionIndexes = new WeakMap();
+
+/**
+ * Gets the per-intention index of a database's oplog, caught up with the log heads
+ * @param {Object<string, *>} database - The database instance
+ * @returns {Promise<RevisionIndex>} The index
+ */
+async function getRevisionIndex(database) {
+  let index = revisionIndexes.get(database);
+  if (!index) {
+    index = new RevisionIndex(database.log);
+    revisionIndexes.set(database, index);
+  }
+  await index.sync();
+  return index;
+}
+
+/**
+ * @typedef {Object} IntentionDocument
+ * @property {string} key - Intention ID
+ * @property {Array<import('./intention-revisions.js').IndexedEntry>} revisions - PUTs since the
+ *   last deletion, newest first
+ * @property {Array<string>} basedOn - Hashes of the revisions the next write builds on
+ */
+
+/**
+ * Reads the revisions of every intention since its last deletion
+ * @param {Object<string, *>} database - The database instance
+ * @param {string|null} [onlyKey] - Only read this intention
+ * @returns {Promise<Array<IntentionDocument>>} Intentions with at least one revision
+ */
+async function loadDocumentRevisions(database, onlyKey = null) {
+  const index = await getRevisionIndex(database);
+  const keys = onlyKey !== null ? [onlyKey] : index.keys();
+
+  return keys
+    .map((key) => ({
+      key,
+      revisions: index.revisions(key),
+      basedOn: index.heads(key).map((revision) => revision.hash)
+    }))
+    .filter((document) => document.revisions.length > 0);
+}
+
+/**
+ * Validates an intention's revisions and merges the valid ones
+ * The merged intention names the revisions it was merged from in `basedOn`, so writing it back
+ * is checked against those (see intention-access.js).
+ * @param {IntentionDocument} document - From loadDocumentRevisions
+ * @returns {{intention: Object<string, *>|null, errors: Array<string>}} Merged intention, and the problems
+ *   of the latest revision if it is invalid (it is quarantined; older valid ones still count)
+ */
+function prepareDocument(document) {
+  const prepared = document.revisions.map((revision) => prepareIntention(revision.value));
+  const valid = prepared.map((result) => result.intention).filter((intention) => intention !== null);
+  valid.forEach(observeStamps);
+
+  return {
+    intention: valid.length > 0 ? { ...mergeIntentionRevisions(valid), basedOn: document.basedOn } : null,
+    errors: prepared[0].errors
+  };
+}
+
 /**
  * Loads all intentions from the database
  * @param {Object} database - The database instance
@@ -520,25 +940,49 @@ export async function loadIntentions(database, isNewDatabase = false) {
       return [];
     }
 
-    // Increase timeout to 30 seconds for initial load
+    // Increase timeout to 30 seconds for initial load (the first one indexes the whole oplog)
     // This gives more time for P2P sync to complete
-    const allIntentions = await Promise.race([
-      database.all(),
-      new Promise((_, reject) =>
-        setTimeout(
-          () => reject(new Error('Database.all() timeout after 30 seconds')),
-          30000
+    const documents = await Promise.race([
+      loadDocumentRevisions(database),
+      /** @type {Promise<never>} */ (
+        new Promise((_, reject) =>
+          setTimeout(
+            () => reject(new Error('Loading intentions timed out after 30 seconds')),
+            30000
+          )
         )
       )
     ]);
 
-    console.log('✅ OrbitDB sync completed, entries found:', allIntentions.length);
-
-    const intentions = allIntentions
-      .map((entry) => entry.value)
-      .sort((a, b) => b.createdAt - a.createdAt);
+    console.log('✅ OrbitDB sync completed, entries found:', documents.length);
+
+    // Documents written by older app versions are upgraded on read, and anything that
+    // fails validation is quarantined instead of reaching search (see intention-schema.js).
+    // Concurrent revisions are merged per field (see intention-merge.js).
+    const outdated = documents.filter((document) => needsMigration(document.revisions[0].value)).length;
+    const merged = documents.filter((document) => document.revisions.length > 1).length;
+    const intentions = [];
+    const quarantined = [];
+    for (const document of documents) {
+      const { intention, errors } = prepareDocument(document);
+      if (intention) intentions.push(intention);
+      if (errors.length > 0) quarantined.push(createQuarantineRecord(document.revisions[0], errors));
+    }
+    intentions.sort((a, b) => b.createdAt - a.createdAt);
 
     console.log('📋 Intentions loaded from OrbitDB:', intentions.length);
+    if (outdated > 0) {
+      console.log(`🧬 Migrated ${outdated} intentions from older schema versions`);
+    }
+    if (merged > 0) {
+      dbLog('Merged revisions of %d intentions', merged);
+    }
+    if (quarantined.length > 0) {
+      console.warn(`🚧 Quarantined ${quarantined.length} invalid entries`);
+    }
+    await replaceQuarantine(quarantined).catch((error) => {
+      console.warn('⚠️ Failed to update quarantine:', error);
+    });
 
     // Cache the loaded intentions for next startup
     await saveIntentionsToCache(intentions);
@@ -555,7 +999,7 @@ export async function loadIntentions(database, isNewDatabase = false) {
 
 /**
  * Creates a new intention in the database
- * @param {Object} database - The database instance
+ * @param {Object<string, *>} database - The database instance
  * @param {Object} intentionData - The intention data
  * @param {string} intentionData.title - Intention title
  * @param {string} intentionData.description - Intention description
@@ -563,6 +1007,8 @@ export async function loadIntentions(database, isNewDatabase = false) {
  * @param {[number, number]} intentionData.geo - [latitude, longitude]
  * @param {Array<string>} intentionData.tags - Tags
  * @param {string} intentionData.category - Category
+ * @param {number|null} [intentionData.expiresAt] - Expiry timestamp in ms (null = never)
+ * @param {Array<string>} [intentionData.keywords] - Keywords
  * @param {Object} credential - The WebAuthn credential
  * @returns {Promise<Object>} The created intention object
  */
@@ -582,7 +1028,7 @@ export async function createIntention(database, intentionData, credential = null
     const intentionId = `int_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
     // Create base intention object
-    const intention = {
+    const intention = withSchemaVersion({
       _id: intentionId, // Required by OrbitDB documents
       intentionId,
       title: intentionData.title.trim(),
@@ -594,8 +1040,15 @@ export async function createIntention(database, intentionData, credential = null
       createdAt: Date.now(),
       updatedAt: Date.now(),
       tags: intentionData.tags || [],
-      category: intentionData.category || 'general'
-    };
+      keywords: intentionData.keywords || [],
+      category: intentionData.category || 'general',
+      expiresAt: intentionData.expiresAt || null
+    });
+
+    const problems = validateIntention(intention);
+    if (problems.length > 0) {
+      throw new Error(`Invalid intention: ${problems.join(', ')}`);
+    }
 
     dbLog('createIntention() called: %o', {
       intentionId,
@@ -604,7 +1057,10 @@ export async function createIntention(database, intentionData, credential = null
 
     // Generate embedding for vector search
     console.log('🧠 Generating embedding for intention...');
-    const intentionWithEmbedding = await embedIntention(intention);
+    const intentionWithEmbedding = {
+      ...stampChanges(null, await embedIntention(intention), database.identity.id),
+      basedOn: []
+    };
 
     // Cache FIRST for instant UI (optimistic update)
     const currentCache = await loadIntentionsFromCache();
@@ -643,9 +1099,40 @@ export async function createIntention(database, intentionData, credential = null
   }
 }
 
+/**
+ * Whether this identity may update, complete, archive or delete an intention
+ * Only its creator can; the access controller rejects anyone else's writes.
+ * @param {Object<string, *>} database - The database instance
+ * @param {Object<string, *>|null} intention - The intention object
+ * @returns {boolean} True if the intention is this identity's own
+ */
+export function canModifyIntention(database, intention) {
+  return !!database && !!intention && intention.createdBy === database.identity.id;
+}
+
+/**
+ * Whether this identity may hide intentions (a moderator delegated by the database creator)
+ * @param {Object<string, *>} database - The database instance
+ * @returns {boolean} True for moderators
+ */
+export function canModerateIntentions(database) {
+  return Boolean(database?.access?.isModerator?.(database.identity.id));
+}
+
+/**
+ * Reads an intention with its concurrent revisions merged
+ * @param {Object<string, *>} database - The database instance
+ * @param {string} intentionId - The intention ID
+ * @returns {Promise<Object<string, *>|null>} The merged intention or null
+ */
+async function getMergedIntention(database, intentionId) {
+  const [document] = await loadDocumentRevisions(database, intentionId);
+  return document ? prepareDocument(document).intention : null;
+}
+
 /**
  * Updates an existing intention
- * @param {Object} database - The database instance
+ * @param {Object<string, *>} database - The database instance
  * @param {string} intentionId - The intention ID to update
  * @param {Object} updates - Fields to update
  * @returns {Promise<Object>} The updated intention object
@@ -658,42 +1145,85 @@ export async function updateIntention(database, intentionId, updates) {
   try {
     const startTime = Date.now();
 
-    // Get existing intention
-    const existing = await database.get(intentionId);
-    if (!existing || existing.length === 0) {
+    // Get existing intention (every revision seen so far, merged)
+    const existing = await getMergedIntention(database, intentionId);
+    if (!existing) {
       throw new Error(`Intention ${intentionId} not found`);
     }
+    if (!canModifyIntention(database, existing)) {
+      throw new Error('Only the creator of an intention can change it');
+    }
 
-    const updatedIntention = {
-      ...existing[0],
+    // Ownership and moderation fields are not the owner's to change
+    const moderation = Object.fromEntries(
+      MODERATION_FIELDS.filter((field) => field in existing).map((field) => [field, existing[field]])
+    );
+    /** @type {Object<string, *>} */
+    let updatedIntention = {
+      ...existing,
       ...updates,
+      ...moderation,
+      createdBy: existing.createdBy,
       updatedAt: Date.now()
     };
 
     // If title or description changed, regenerate embedding
     if (updates.title || updates.description) {
       console.log('🧠 Regenerating embedding for updated intention...');
-      const reembedded = await embedIntention(updatedIntention);
-      await database.put(reembedded);
-
-      const endTime = Date.now();
-      dbLog('updateIntention() completed in %d ms', endTime - startTime);
+      updatedIntention = await embedIntention(updatedIntention);
+    }
 
-      return reembedded;
-    } else {
-      await database.put(updatedIntention);
+    // Only the changed fields get a new clock, so concurrent edits of other fields survive
+    updatedIntention = stampChanges(existing, updatedIntention, database.identity.id);
+    await database.put(updatedIntention);
 
-      const endTime = Date.now();
-      dbLog('updateIntention() completed in %d ms', endTime - startTime);
+    const endTime = Date.now();
+    dbLog('updateIntention() completed in %d ms', endTime - startTime);
 
-      return updatedIntention;
-    }
+    return updatedIntention;
   } catch (error) {
     console.error('Failed to update intention:', error);
     throw error;
   }
 }
 
+/**
+ * Writes migrated copies of outdated documents back to OrbitDB
+ * Readers migrate on the fly either way; rewriting lets the oplog converge on the current
+ * schema. Documents from newer app versions and invalid ones are never touched, and
+ * updatedAt is kept so the rewrite does not count as an edit.
+ * @param {Object<string, *>} database - The database instance
+ * @param {Object} [options] - Rewrite options
+ * @param {boolean} [options.onlyOwn] - Only rewrite documents this identity created (default true)
+ * @returns {Promise<number>} Number of documents rewritten
+ */
+export async function rewriteMigratedIntentions(database, options = {}) {
+  const { onlyOwn = true } = options;
+  if (!database) return 0;
+
+  const documents = await loadDocumentRevisions(database);
+  const outdated = documents
+    .filter((document) => needsMigration(document.revisions[0].value))
+    .map((document) => prepareDocument(document).intention)
+    .filter((intention) => intention !== null)
+    .filter((intention) => !onlyOwn || intention.createdBy === database.identity.id);
+
+  let rewritten = 0;
+  for (const intention of outdated) {
+    try {
+      await database.put(intention);
+      rewritten++;
+    } catch (error) {
+      console.warn('⚠️ Failed to rewrite migrated intention:', intention.intentionId, /** @type {Error} */ (error).message);
+    }
+  }
+
+  if (rewritten > 0) {
+    console.log(`🧬 Rewrote ${rewritten} intentions with the current schema`);
+  }
+  return rewritten;
+}
+
 /**
  * Marks an intention as completed
  * @param {Object} database - The database instance
@@ -734,6 +1264,11 @@ export async function deleteIntention(database, intentionId) {
   try {
     const startTime = Date.now();
 
+    const existing = await getMergedIntention(database, intentionId);
+    if (existing && !canModifyIntention(database, existing)) {
+      throw new Error('Only the creator of an intention can delete it');
+    }
+
     dbLog('deleteIntention() called for: %s', intentionId);
     await database.del(intentionId);
 
@@ -747,6 +1282,117 @@ export async function deleteIntention(database, intentionId) {
   }
 }
 
+/**
+ * Hides an intention from search (moderators only)
+ * Only the moderation fields change, so the owner's content and ownership stay intact.
+ * @param {Object<string, *>} database - The database instance
+ * @param {string} intentionId - The intention ID
+ * @param {string} [reason] - Why it was hidden (shown to the owner)
+ * @returns {Promise<Object<string, *>>} The hidden intention
+ */
+export async function hideIntention(database, intentionId, reason = '') {
+  return setIntentionHidden(database, intentionId, {
+    hidden: true,
+    hiddenBy: database?.identity?.id,
+    hiddenAt: Date.now(),
+    hiddenReason: reason.trim()
+  });
+}
+
+/**
+ * Makes a hidden intention visible again (moderators only)
+ * @param {Object<string, *>} database - The database instance
+ * @param {string} intentionId - The intention ID
+ * @returns {Promise<Object<string, *>>} The restored intention
+ */
+export async function unhideIntention(database, intentionId) {
+  return setIntentionHidden(database, intentionId, {});
+}
+
+/**
+ * Writes new moderation fields onto an intention, carrying everything else over
+ * @param {Object<string, *>} database - The database instance
+ * @param {string} intentionId - The intention ID
+ * @param {Object<string, *>} moderation - Moderation fields to set (empty to unhide)
+ * @returns {Promise<Object<string, *>>} The updated intention
+ */
+async function setIntentionHidden(database, intentionId, moderation) {
+  if (!database || !intentionId) {
+    throw new Error('Database and intentionId are required');
+  }
+  if (!canModerateIntentions(database)) {
+    throw new Error('Only moderators can hide or unhide intentions');
+  }
+
+  const existing = await getMergedIntention(database, intentionId);
+  if (!existing) {
+    throw new Error(`Intention ${intentionId} not found`);
+  }
+
+  // Everything else is carried over from the merged revisions, so only moderation changes
+  let updated = { ...existing };
+  MODERATION_FIELDS.forEach((field) => delete updated[field]);
+  Object.assign(updated, moderation);
+  updated = stampChanges(existing, updated, database.identity.id);
+
+  await database.put(updated);
+  console.log(moderation.hidden ? '🙈 Intention hidden:' : '👁️ Intention unhidden:', intentionId);
+  return updated;
+}
+
+/**
+ * Loads every revision of an intention from the oplog
+ * @param {Object} database - The database instance
+ * @param {string} intentionId - The intention ID
+ * @param {Object<string, *>|null} [identities] - The OrbitDB identities instance (resolves entry authors to DIDs)
+ * @returns {Promise<Array<import('./intention-history.js').IntentionRevision>>} Revisions, newest first
+ */
+export async function loadIntentionHistory(database, intentionId, identities = null) {
+  if (!database || !intentionId) return [];
+
+  const startTime = Date.now();
+  const authors = new Map(); // identity hash -> DID
+  /** @param {string} identityHash */
+  const resolveAuthor = async (identityHash) => {
+    if (!identities) return null;
+    if (!authors.has(identityHash)) {
+      const identity = await identities.getIdentity(identityHash).catch(() => null);
+      authors.set(identityHash, identity?.id || null);
+    }
+    return authors.get(identityHash);
+  };
+
+  const index = await getRevisionIndex(database);
+  const entries = [];
+  for (const { hash, op, value, identity } of index.history(intentionId)) {
+    entries.push({ hash, op, value, author: await resolveAuthor(identity) });
+  }
+
+  dbLog('loadIntentionHistory() found %d revisions in %d ms', entries.length, Date.now() - startTime);
+  return buildRevisions(entries);
+}
+
+/**
+ * Restores an earlier revision's content as a new update (owner only)
+ * @param {Object} database - The database instance
+ * @param {string} intentionId - The intention ID
+ * @param {import('./intention-history.js').IntentionRevision} revision - Revision from loadIntentionHistory
+ * @returns {Promise<Object>} The updated intention
+ */
+export async function restoreIntentionRevision(database, intentionId, revision) {
+  const value = revision?.value;
+  if (!value) {
+    throw new Error('Only revisions with content can be restored');
+  }
+
+  const restored = Object.fromEntries(
+    RESTORABLE_FIELDS.map((field) => [field, value[field] ?? null])
+  );
+  const updated = await updateIntention(database, intentionId, restored);
+  console.log('⏪ Restored intention revision:', intentionId, revision.hash);
+  return updated;
+}
+
 /**
  * Gets a single intention by ID
  * @param {Object} database - The database instance
@@ -759,8 +1405,7 @@ export async function getIntentionById(database, intentionId) {
   }
 
   try {
-    const results = await database.get(intentionId);
-    return results && results.length > 0 ? results[0] : null;
+    return await getMergedIntention(database, intentionId);
   } catch (error) {
     console.error('Failed to get intention:', error);
     return null;
@@ -0,0 +1,141 @@
+/**
+ * Diversity - maximal marginal relevance (MMR) re-ranking and near-duplicate grouping
+ * Keeps reposts and the same offer posted in three neighbourhoods from crowding
+ * the top of the results grid.
+ */
+
+import {
+  getActiveEmbeddingModel,
+  isEmbeddingCurrent,
+} from './embedding-models.js';
+import { decodeEmbedding } from './embedding-codec.js';
+import { tokenize } from './lexical-index.js';
+import { dot, normalize } from './vector-math.js';
+
+/**
+ * Unit vector for a result's stored embedding (null if not comparable)
+ * @param {Object<string, *>} result - Search result
+ * @param {import('./embedding-models.js').EmbeddingModel} model - Active embedding model
+ * @returns {Float32Array|null} Normalized vector
+ */
+function unitVector(result, model) {
+  return isEmbeddingCurrent(result, model)
+    ? normalize(decodeEmbedding(result.embedding))
+    : null;
+}
+
+/**
+ * Jaccard overlap of title + description terms (fallback without embeddings)
+ * @param {Set<string>} a - Terms of the first result
+ * @param {Set<string>} b - Terms of the second result
+ * @returns {number} Overlap between 0 and 1
+ */
+function termOverlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const term of a) if (b.has(term)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Build a pairwise similarity function over results
+ * Uses embeddings from the active model, falling back to term overlap for pairs
+ * where either side has no comparable embedding.
+ * @param {Array<Object<string, *>>} results - Search results
+ * @returns {(i: number, j: number) => number} Similarity between 0 and 1
+ */
+function createSimilarity(results) {
+  const model = getActiveEmbeddingModel();
+  const vectors = results.map((result) => unitVector(result, model));
+  const terms = results.map(
+    (result) =>
+      new Set(tokenize(`${result.title || ''} ${result.description || ''}`))
+  );
+  /** @type {Map<string, number>} */
+  const cache = new Map();
+
+  return (i, j) => {
+    const key = i < j ? `${i}:${j}` : `${j}:${i}`;
+    const cached = cache.get(key);
+    if (cached !== undefined) return cached;
+
+    const similarity =
+      vectors[i] && vectors[j]
+        ? dot(vectors[i], vectors[j])
+        : termOverlap(terms[i], terms[j]);
+
+    cache.set(key, similarity);
+    return similarity;
+  };
+}
+
+/**
+ * Re-rank scored results with maximal marginal relevance, grouping near-duplicates
+ *
+ * Each step picks the result maximizing
+ *   lambda * relevance - (1 - lambda) * max similarity to already picked results
+ * Results at or above duplicateThreshold similarity to a picked result are folded
+ * into its `duplicates` list instead of being ranked on their own.
+ *
+ * @param {Array<Object<string, *>>} results - Results sorted by score.combined
+ * @param {Object} [options] - Re-ranking options
+ * @param {number} [options.lambda] - 1 = pure relevance, 0 = pure diversity (default 0.7)
+ * @param {number|null} [options.duplicateThreshold] - Similarity that counts as a duplicate (default 0.92, null disables)
+ * @param {number} [options.limit] - Number of results to return (default all)
+ * @returns {Array<Object<string, *>>} Re-ranked results; representatives carry `duplicates`
+ */
+export function diversifyResults(results, options = {}) {
+  const {
+    lambda = 0.7,
+    duplicateThreshold = 0.92,
+    limit = results.length,
+  } = options;
+  if (results.length <= 1) return results;
+
+  const similarity = createSimilarity(results);
+  const remaining = results.map((_, i) => i);
+  /** @type {number[]} */
+  const picked = [];
+  /** @type {Map<number, number[]>} */
+  const duplicatesOf = new Map(); // picked index -> duplicate indices
+
+  while (remaining.length > 0 && picked.length < limit) {
+    let bestPosition = 0;
+    let bestScore = -Infinity;
+
+    for (let position = 0; position < remaining.length; position++) {
+      const i = remaining[position];
+      const redundancy = picked.length
+        ? Math.max(...picked.map((j) => similarity(i, j)))
+        : 0;
+      const mmr =
+        lambda * results[i].score.combined - (1 - lambda) * redundancy;
+      if (mmr > bestScore) {
+        bestScore = mmr;
+        bestPosition = position;
+      }
+    }
+
+    const [chosen] = remaining.splice(bestPosition, 1);
+    /** @type {number[]} */
+    const group = [];
+    picked.push(chosen);
+    duplicatesOf.set(chosen, group);
+
+    // Fold near-duplicates of the new pick into its group
+    if (duplicateThreshold !== null) {
+      for (let position = remaining.length - 1; position >= 0; position--) {
+        const i = remaining[position];
+        if (similarity(i, chosen) >= duplicateThreshold) {
+          group.unshift(i);
+          remaining.splice(position, 1);
+        }
+      }
+    }
+  }
+
+  return picked.map((i) => {
+    const duplicates = (duplicatesOf.get(i) || []).map((j) => results[j]);
+    return duplicates.length > 0 ? { ...results[i], duplicates } : results[i];
+  });
+}
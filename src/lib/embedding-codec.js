@@ -0,0 +1,228 @@
+/**
+ * Embedding Codec - compact storage formats for embedding vectors
+ *
+ * Formats stored in `intention.embedding`:
+ *   number[]                                   float (legacy, always readable)
+ *   { format: 'int8', dim, scale, data }       symmetric int8, data = base64 Int8Array
+ *   { format: 'binary', dim, data }            sign bits, data = base64 packed bits
+ *
+ * A 384-dim float vector is ~7-8 KB as JSON; int8 is ~0.5 KB and binary ~0.1 KB.
+ */
+
+/** @typedef {'float'|'int8'|'binary'} EmbeddingFormat */
+
+/**
+ * @typedef {{ format: 'int8', dim: number, scale: number, data: string }
+ *   | { format: 'binary', dim: number, data: string }} QuantizedEmbedding
+ */
+
+/** @type {EmbeddingFormat[]} */
+export const EMBEDDING_FORMATS = ['float', 'int8', 'binary'];
+
+// Decoded typed arrays per quantized embedding object (base64 decoding is the slow part)
+const decodedCache = new WeakMap();
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++)
+    binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Raw bytes
+ */
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Check whether an embedding is stored in a quantized format
+ * @param {*} embedding - Stored embedding
+ * @returns {boolean}
+ */
+export function isQuantizedEmbedding(embedding) {
+  return (
+    Boolean(embedding) &&
+    !Array.isArray(embedding) &&
+    typeof embedding.format === 'string'
+  );
+}
+
+/**
+ * Check whether a value names a known storage format
+ * @param {*} format - Candidate format
+ * @returns {format is EmbeddingFormat}
+ */
+export function isEmbeddingFormat(format) {
+  return EMBEDDING_FORMATS.includes(format);
+}
+
+/**
+ * Get the storage format of an embedding
+ * @param {*} embedding - Stored embedding
+ * @returns {EmbeddingFormat|null} Format, or null for no/unknown embedding
+ */
+export function getEmbeddingFormat(embedding) {
+  if (Array.isArray(embedding)) return 'float';
+  if (isQuantizedEmbedding(embedding) && isEmbeddingFormat(embedding.format)) {
+    return embedding.format;
+  }
+  return null;
+}
+
+/**
+ * Get the vector dimension of an embedding in any format
+ * @param {*} embedding - Stored embedding
+ * @returns {number} Dimension (0 if unknown)
+ */
+export function getEmbeddingDimension(embedding) {
+  if (Array.isArray(embedding)) return embedding.length;
+  return isQuantizedEmbedding(embedding) ? embedding.dim || 0 : 0;
+}
+
+/**
+ * Quantize a float vector
+ * @param {number[]} vector - Float embedding
+ * @param {EmbeddingFormat} format - Target format
+ * @returns {number[]|QuantizedEmbedding} Embedding in the requested format
+ */
+export function encodeEmbedding(vector, format = 'float') {
+  if (format === 'float') return Array.from(vector);
+
+  if (format === 'int8') {
+    let maxAbs = 0;
+    for (const value of vector) maxAbs = Math.max(maxAbs, Math.abs(value));
+    const scale = maxAbs / 127 || 1;
+
+    const quantized = new Int8Array(vector.length);
+    for (let i = 0; i < vector.length; i++)
+      quantized[i] = Math.round(vector[i] / scale);
+
+    return {
+      format: 'int8',
+      dim: vector.length,
+      scale,
+      data: toBase64(new Uint8Array(quantized.buffer)),
+    };
+  }
+
+  if (format === 'binary') {
+    const bits = new Uint8Array(Math.ceil(vector.length / 8));
+    for (let i = 0; i < vector.length; i++) {
+      if (vector[i] > 0) bits[i >> 3] |= 1 << (i & 7);
+    }
+    return { format: 'binary', dim: vector.length, data: toBase64(bits) };
+  }
+
+  throw new Error(`Unknown embedding format: ${format}`);
+}
+
+/**
+ * Get the quantized components as a typed array (int8 values, or ±1 for binary)
+ * @param {QuantizedEmbedding} embedding - Quantized embedding
+ * @returns {Int8Array} Components
+ */
+function decodeComponents(embedding) {
+  let components = decodedCache.get(embedding);
+  if (components) return components;
+
+  const bytes = fromBase64(embedding.data);
+  if (embedding.format === 'int8') {
+    components = new Int8Array(bytes.buffer, 0, embedding.dim);
+  } else {
+    components = new Int8Array(embedding.dim);
+    for (let i = 0; i < embedding.dim; i++) {
+      components[i] = bytes[i >> 3] & (1 << (i & 7)) ? 1 : -1;
+    }
+  }
+
+  decodedCache.set(embedding, components);
+  return components;
+}
+
+/**
+ * Decode any stored embedding back to a float vector
+ * Binary embeddings decode to ±1/sqrt(dim) (direction only).
+ * @param {number[]|QuantizedEmbedding} embedding - Stored embedding
+ * @returns {number[]} Float vector
+ */
+export function decodeEmbedding(embedding) {
+  if (Array.isArray(embedding)) return embedding;
+  if (!getEmbeddingFormat(embedding)) throw new Error('Unsupported embedding');
+
+  const components = decodeComponents(embedding);
+  const factor =
+    embedding.format === 'int8'
+      ? embedding.scale
+      : 1 / Math.sqrt(embedding.dim);
+  return Array.from(components, (value) => value * factor);
+}
+
+/**
+ * Cosine similarity between a float query and a stored embedding in any format
+ * Quantized vectors are scored directly on their integer components (no float decode).
+ * @param {number[]} query - Float query vector
+ * @param {number[]|QuantizedEmbedding} embedding - Stored embedding
+ * @returns {number} Cosine similarity
+ */
+export function embeddingSimilarity(query, embedding) {
+  const components = Array.isArray(embedding)
+    ? embedding
+    : decodeComponents(embedding);
+
+  if (query.length !== components.length) {
+    throw new Error('Vectors must have same length');
+  }
+
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < query.length; i++) {
+    dotProduct += query[i] * components[i];
+    normA += query[i] * query[i];
+    normB += components[i] * components[i];
+  }
+
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB) || 1);
+}
+
+/**
+ * Compare the serialized size of the intentions' embeddings in every format
+ * @param {Array<Object<string, *>>} intentions - Intentions with embeddings
+ * @returns {{ count: number, bytes: Record<EmbeddingFormat, number>, ratio: { int8: number, binary: number } }}
+ */
+export function measureEmbeddingStorage(intentions) {
+  /** @type {Record<EmbeddingFormat, number>} */
+  const bytes = { float: 0, int8: 0, binary: 0 };
+  let count = 0;
+
+  for (const intention of intentions) {
+    if (!getEmbeddingFormat(intention.embedding)) continue;
+    const vector = decodeEmbedding(intention.embedding);
+    count++;
+
+    for (const format of EMBEDDING_FORMATS) {
+      bytes[format] += JSON.stringify(encodeEmbedding(vector, format)).length;
+    }
+  }
+
+  return {
+    count,
+    bytes,
+    ratio: {
+      int8: bytes.float ? bytes.int8 / bytes.float : 0,
+      binary: bytes.float ? bytes.binary / bytes.float : 0,
+    },
+  };
+}
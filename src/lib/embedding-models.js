@@ -0,0 +1,121 @@
+/**
+ * Embedding Model Registry
+ * Every stored embedding records the model id and dimension that produced it, so
+ * vectors from different (or outdated) models are never compared with each other.
+ */
+
+import { getEmbeddingDimension } from './embedding-codec.js';
+
+// Embeddings written before the registry existed carry no model id; they all came from this model
+export const LEGACY_EMBEDDING_MODEL_ID = 'all-MiniLM-L6-v2@1';
+
+/**
+ * @typedef {Object} EmbeddingModel
+ * @property {string} id - Unique, versioned id stored with each embedding
+ * @property {number} dimension - Vector length
+ * @property {string} [modelName] - Transformers.js model name (for worker-hosted models)
+ * @property {(text: string) => (number[]|Promise<number[]>)} [embed] - Local embedder; bypasses the worker
+ * @property {string} label - Human readable name
+ */
+
+/** @type {Map<string, EmbeddingModel>} */
+const models = new Map();
+let activeModelId = LEGACY_EMBEDDING_MODEL_ID;
+
+/**
+ * Register an embedding model
+ * @param {Object} model - Model descriptor
+ * @param {string} model.id - Unique, versioned id stored with each embedding (e.g. 'all-MiniLM-L6-v2@1')
+ * @param {number} model.dimension - Vector length
+ * @param {string} [model.modelName] - Transformers.js model name (for worker-hosted models)
+ * @param {(text: string) => (number[]|Promise<number[]>)} [model.embed] - Optional local embedder(text) => number[]; bypasses the worker
+ * @param {string} [model.label] - Human readable name
+ * @returns {EmbeddingModel} The registered model
+ */
+export function registerEmbeddingModel(model) {
+  if (!model?.id || !model.dimension) {
+    throw new Error('Embedding model requires an id and a dimension');
+  }
+  if (!model.modelName && typeof model.embed !== 'function') {
+    throw new Error(
+      `Embedding model ${model.id} needs a modelName or an embed function`
+    );
+  }
+
+  const registered = { ...model, label: model.label || model.id };
+  models.set(model.id, registered);
+  return registered;
+}
+
+/**
+ * Look up a registered model
+ * @param {string} id - Model id
+ * @returns {EmbeddingModel|null} Model descriptor
+ */
+export function getEmbeddingModel(id) {
+  return models.get(id) || null;
+}
+
+/**
+ * List all registered models
+ * @returns {Array<EmbeddingModel>} Model descriptors
+ */
+export function listEmbeddingModels() {
+  return [...models.values()];
+}
+
+/**
+ * Get the model new embeddings are produced with
+ * @returns {EmbeddingModel} Active model descriptor
+ */
+export function getActiveEmbeddingModel() {
+  return /** @type {EmbeddingModel} */ (models.get(activeModelId));
+}
+
+/**
+ * Switch the active model (stored embeddings from other models become stale)
+ * @param {string} id - Registered model id
+ * @returns {EmbeddingModel} Active model descriptor
+ */
+export function setActiveEmbeddingModel(id) {
+  const model = models.get(id);
+  if (!model) {
+    throw new Error(`Unknown embedding model: ${id}`);
+  }
+  activeModelId = id;
+  return model;
+}
+
+/**
+ * Get the model id an intention's embedding was produced with
+ * @param {Object<string, *>} intention - Intention object
+ * @returns {string|null} Model id, or null if the intention has no embedding
+ */
+export function getEmbeddingModelId(intention) {
+  if (!intention?.embedding) return null;
+  return intention.embeddingModel || LEGACY_EMBEDDING_MODEL_ID;
+}
+
+/**
+ * Check whether an intention's embedding can be compared with the given model's vectors
+ * Shared embeddings from peers are only trusted when model id and dimension both match.
+ * @param {Object<string, *>} intention - Intention object
+ * @param {EmbeddingModel} [model] - Model descriptor (default: active model)
+ * @returns {boolean} True if the embedding is current
+ */
+export function isEmbeddingCurrent(
+  intention,
+  model = getActiveEmbeddingModel()
+) {
+  return (
+    getEmbeddingModelId(intention) === model.id &&
+    getEmbeddingDimension(intention.embedding) === model.dimension
+  );
+}
+
+registerEmbeddingModel({
+  id: LEGACY_EMBEDDING_MODEL_ID,
+  label: 'all-MiniLM-L6-v2',
+  modelName: 'Xenova/all-MiniLM-L6-v2',
+  dimension: 384,
+});
@@ -0,0 +1,168 @@
+/**
+ * Embedding Worker - hosts the Transformers.js pipeline off the main thread
+ *
+ * Message protocol (main → worker), every request carries a unique `id`:
+ *   { id, type: 'init', modelName }               load a model
+ *   { id, type: 'embed', text, modelName }        embed one text
+ *   { id, type: 'batch-embed', texts, modelName } embed many texts, reporting progress
+ *   { id, type: 'cancel', targetId }              stop a running batch-embed (result: whether
+ *                                                 it was still running)
+ *   { id, type: 'status' }                        report model status
+ *
+ * Replies (worker → main):
+ *   { id, type: 'result', result }
+ *   { id, type: 'progress', done, total }
+ *   { id, type: 'error', message, cancelled }
+ *   { id, type: 'status', status }                also broadcast (id = null) on every change
+ */
+
+import { pipeline, env } from '@xenova/transformers';
+
+// Loaded (or loading) pipelines by Transformers.js model name
+const pipelines = new Map();
+let status = { state: 'idle', model: null, error: null };
+
+// Running batch-embed requests: id -> { cancelled }, removed when the batch ends
+const activeBatches = new Map();
+
+/**
+ * Update the model status and broadcast it to the main thread
+ * @param {Object} update - Fields to merge into the status
+ */
+function setStatus(update) {
+  status = { ...status, ...update };
+  self.postMessage({ id: null, type: 'status', status });
+}
+
+/**
+ * Load an embedding model once
+ * @param {string} modelName - Transformers.js model name
+ * @returns {Promise<Function>} Feature-extraction pipeline
+ */
+async function initializeModel(modelName) {
+  if (pipelines.has(modelName)) return pipelines.get(modelName);
+
+  // Use CDN models (not local), cached by the browser after the first load
+  env.allowLocalModels = false;
+  env.useBrowserCache = true;
+  env.backends.onnx.wasm.numThreads = 1;
+
+  setStatus({ state: 'loading', model: modelName, error: null });
+
+  const loading = pipeline('feature-extraction', modelName)
+    .then((model) => {
+      setStatus({ state: 'ready', model: modelName });
+      return model;
+    })
+    .catch((error) => {
+      pipelines.delete(modelName);
+      setStatus({ state: 'error', model: modelName, error: error.message });
+      throw error;
+    });
+
+  pipelines.set(modelName, loading);
+  return loading;
+}
+
+/**
+ * Embed a single text
+ * @param {string} text - Text to embed
+ * @param {string} modelName - Transformers.js model name
+ * @returns {Promise<number[]>} Normalized embedding
+ */
+async function embed(text, modelName) {
+  const model = await initializeModel(modelName);
+  const output = await model(text, { pooling: 'mean', normalize: true });
+  return Array.from(output.data);
+}
+
+/**
+ * Embed many texts sequentially, honouring cancellation between items
+ * @param {string} id - Request ID
+ * @param {string[]} texts - Texts to embed
+ * @param {string} modelName - Transformers.js model name
+ * @returns {Promise<number[][]>} Embeddings in input order
+ */
+async function batchEmbed(id, texts, modelName) {
+  const batch = { cancelled: false };
+  activeBatches.set(id, batch);
+  const embeddings = [];
+
+  try {
+    for (let i = 0; i < texts.length; i++) {
+      // Yield to the event loop so queued 'cancel' messages are handled
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      if (batch.cancelled) {
+        throw Object.assign(new Error('Batch embedding cancelled'), {
+          cancelled: true,
+        });
+      }
+
+      embeddings.push(await embed(texts[i], modelName));
+      self.postMessage({
+        id,
+        type: 'progress',
+        done: i + 1,
+        total: texts.length,
+      });
+    }
+  } finally {
+    activeBatches.delete(id);
+  }
+
+  return embeddings;
+}
+
+self.onmessage = async (event) => {
+  const { id, type, modelName } = event.data;
+
+  try {
+    switch (type) {
+      case 'init':
+        await initializeModel(modelName);
+        self.postMessage({ id, type: 'result', result: status });
+        break;
+
+      case 'embed':
+        self.postMessage({
+          id,
+          type: 'result',
+          result: await embed(event.data.text, modelName),
+        });
+        break;
+
+      case 'batch-embed':
+        self.postMessage({
+          id,
+          type: 'result',
+          result: await batchEmbed(id, event.data.texts, modelName),
+        });
+        break;
+
+      case 'cancel': {
+        // A cancel arriving after its batch finished has nothing left to stop
+        const batch = activeBatches.get(event.data.targetId);
+        if (batch) batch.cancelled = true;
+        self.postMessage({ id, type: 'result', result: Boolean(batch) });
+        break;
+      }
+
+      case 'status':
+        self.postMessage({ id, type: 'status', status });
+        break;
+
+      default:
+        throw new Error(`Unknown message type: ${type}`);
+    }
+  } catch (error) {
+    const { message, cancelled } =
+      /** @type {Error & {cancelled?: boolean}} */ (error);
+    self.postMessage({
+      id,
+      type: 'error',
+      message,
+      cancelled: Boolean(cancelled),
+    });
+  }
+};
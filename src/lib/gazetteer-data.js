@@ -0,0 +1,315 @@
+/**
+ * Gazetteer Data - bundled places for offline geocoding (see gazetteer.js)
+ * Coordinates are city / postal-area centroids rounded to 4 decimals.
+ * Bay Area coverage is dense (where the network started); elsewhere only larger cities.
+ */
+
+// [name, region, country, latitude, longitude, population]
+/** @type {Array<[string, string, string, number, number, number]>} */
+export const PLACES = [
+  // San Francisco Bay Area
+  ['San Francisco', 'CA', 'US', 37.7749, -122.4194, 808000],
+  ['Oakland', 'CA', 'US', 37.8044, -122.2712, 433000],
+  ['Berkeley', 'CA', 'US', 37.8715, -122.273, 119000],
+  ['Albany', 'CA', 'US', 37.8869, -122.2977, 20000],
+  ['El Cerrito', 'CA', 'US', 37.9161, -122.3108, 25000],
+  ['Richmond', 'CA', 'US', 37.9358, -122.3477, 114000],
+  ['San Pablo', 'CA', 'US', 37.9621, -122.3455, 32000],
+  ['Emeryville', 'CA', 'US', 37.8313, -122.2852, 13000],
+  ['Piedmont', 'CA', 'US', 37.8244, -122.2317, 11000],
+  ['Alameda', 'CA', 'US', 37.7652, -122.2416, 76000],
+  ['San Leandro', 'CA', 'US', 37.7249, -122.1561, 88000],
+  ['Hayward', 'CA', 'US', 37.6688, -122.0808, 160000],
+  ['Castro Valley', 'CA', 'US', 37.6941, -122.0864, 66000],
+  ['Union City', 'CA', 'US', 37.5934, -122.0439, 70000],
+  ['Fremont', 'CA', 'US', 37.5485, -121.9886, 230000],
+  ['Newark', 'CA', 'US', 37.5297, -122.0402, 47000],
+  ['Pleasanton', 'CA', 'US', 37.6624, -121.8747, 79000],
+  ['Livermore', 'CA', 'US', 37.6819, -121.768, 87000],
+  ['Dublin', 'CA', 'US', 37.7022, -121.9358, 72000],
+  ['San Ramon', 'CA', 'US', 37.7799, -121.978, 84000],
+  ['Danville', 'CA', 'US', 37.8216, -121.9999, 44000],
+  ['Walnut Creek', 'CA', 'US', 37.9101, -122.0652, 70000],
+  ['Lafayette', 'CA', 'US', 37.8858, -122.118, 26000],
+  ['Orinda', 'CA', 'US', 37.8771, -122.1797, 19000],
+  ['Moraga', 'CA', 'US', 37.8349, -122.1297, 16000],
+  ['Concord', 'CA', 'US', 37.978, -122.0311, 125000],
+  ['Pleasant Hill', 'CA', 'US', 37.948, -122.0608, 34000],
+  ['Martinez', 'CA', 'US', 38.0194, -122.1341, 37000],
+  ['Antioch', 'CA', 'US', 38.0049, -121.8058, 115000],
+  ['Pittsburg', 'CA', 'US', 38.028, -121.8847, 76000],
+  ['Hercules', 'CA', 'US', 38.0171, -122.2886, 26000],
+  ['Pinole', 'CA', 'US', 38.0044, -122.2989, 19000],
+  ['Vallejo', 'CA', 'US', 38.1041, -122.2566, 124000],
+  ['Benicia', 'CA', 'US', 38.0494, -122.1586, 27000],
+  ['Napa', 'CA', 'US', 38.2975, -122.2869, 79000],
+  ['Sonoma', 'CA', 'US', 38.2919, -122.458, 11000],
+  ['Petaluma', 'CA', 'US', 38.2324, -122.6367, 60000],
+  ['Santa Rosa', 'CA', 'US', 38.4404, -122.7141, 178000],
+  ['Novato', 'CA', 'US', 38.1074, -122.5697, 53000],
+  ['San Rafael', 'CA', 'US', 37.9735, -122.5311, 61000],
+  ['Mill Valley', 'CA', 'US', 37.906, -122.545, 14000],
+  ['Sausalito', 'CA', 'US', 37.8591, -122.4853, 7000],
+  ['Daly City', 'CA', 'US', 37.6879, -122.4702, 104000],
+  ['South San Francisco', 'CA', 'US', 37.6547, -122.4077, 66000],
+  ['Pacifica', 'CA', 'US', 37.6138, -122.4869, 38000],
+  ['San Bruno', 'CA', 'US', 37.6305, -122.4111, 43000],
+  ['Millbrae', 'CA', 'US', 37.5985, -122.3872, 23000],
+  ['Burlingame', 'CA', 'US', 37.5841, -122.3661, 31000],
+  ['San Mateo', 'CA', 'US', 37.563, -122.3255, 105000],
+  ['Foster City', 'CA', 'US', 37.5585, -122.2711, 33000],
+  ['Belmont', 'CA', 'US', 37.5202, -122.2758, 28000],
+  ['San Carlos', 'CA', 'US', 37.5072, -122.2605, 30000],
+  ['Redwood City', 'CA', 'US', 37.4852, -122.2364, 84000],
+  ['Half Moon Bay', 'CA', 'US', 37.4636, -122.4286, 12000],
+  ['Menlo Park', 'CA', 'US', 37.453, -122.1817, 33000],
+  ['East Palo Alto', 'CA', 'US', 37.4688, -122.1411, 30000],
+  ['Palo Alto', 'CA', 'US', 37.4419, -122.143, 68000],
+  ['Mountain View', 'CA', 'US', 37.3861, -122.0839, 82000],
+  ['Los Altos', 'CA', 'US', 37.3852, -122.1141, 31000],
+  ['Sunnyvale', 'CA', 'US', 37.3688, -122.0363, 155000],
+  ['Cupertino', 'CA', 'US', 37.323, -122.0322, 60000],
+  ['Santa Clara', 'CA', 'US', 37.3541, -121.9552, 127000],
+  ['San Jose', 'CA', 'US', 37.3382, -121.8863, 1013000],
+  ['Milpitas', 'CA', 'US', 37.4323, -121.8996, 80000],
+  ['Campbell', 'CA', 'US', 37.2872, -121.95, 43000],
+  ['Los Gatos', 'CA', 'US', 37.2358, -121.9624, 33000],
+  ['Saratoga', 'CA', 'US', 37.2638, -122.023, 31000],
+  ['Morgan Hill', 'CA', 'US', 37.1305, -121.6544, 45000],
+  ['Gilroy', 'CA', 'US', 37.0058, -121.5683, 59000],
+  ['Santa Cruz', 'CA', 'US', 36.9741, -122.0308, 62000],
+
+  // California
+  ['Sacramento', 'CA', 'US', 38.5816, -121.4944, 525000],
+  ['Davis', 'CA', 'US', 38.5449, -121.7405, 66000],
+  ['Stockton', 'CA', 'US', 37.9577, -121.2908, 320000],
+  ['Modesto', 'CA', 'US', 37.6391, -120.9969, 218000],
+  ['Fresno', 'CA', 'US', 36.7378, -119.7871, 542000],
+  ['Monterey', 'CA', 'US', 36.6002, -121.8947, 30000],
+  ['Salinas', 'CA', 'US', 36.6777, -121.6555, 163000],
+  ['San Luis Obispo', 'CA', 'US', 35.2828, -120.6596, 47000],
+  ['Santa Barbara', 'CA', 'US', 34.4208, -119.6982, 88000],
+  ['Bakersfield', 'CA', 'US', 35.3733, -119.0187, 403000],
+  ['Los Angeles', 'CA', 'US', 34.0522, -118.2437, 3899000],
+  ['Long Beach', 'CA', 'US', 33.7701, -118.1937, 456000],
+  ['Pasadena', 'CA', 'US', 34.1478, -118.1445, 138000],
+  ['Santa Monica', 'CA', 'US', 34.0195, -118.4912, 93000],
+  ['Anaheim', 'CA', 'US', 33.8366, -117.9143, 346000],
+  ['Irvine', 'CA', 'US', 33.6846, -117.8265, 308000],
+  ['Riverside', 'CA', 'US', 33.9533, -117.3962, 317000],
+  ['San Diego', 'CA', 'US', 32.7157, -117.1611, 1386000],
+  ['Eureka', 'CA', 'US', 40.8021, -124.1637, 27000],
+  ['Redding', 'CA', 'US', 40.5865, -122.3917, 93000],
+  ['Chico', 'CA', 'US', 39.7285, -121.8375, 102000],
+
+  // United States
+  ['Portland', 'OR', 'US', 45.5152, -122.6784, 652000],
+  ['Eugene', 'OR', 'US', 44.0521, -123.0868, 177000],
+  ['Seattle', 'WA', 'US', 47.6062, -122.3321, 737000],
+  ['Tacoma', 'WA', 'US', 47.2529, -122.4443, 219000],
+  ['Spokane', 'WA', 'US', 47.6588, -117.426, 228000],
+  ['Boise', 'ID', 'US', 43.615, -116.2023, 235000],
+  ['Reno', 'NV', 'US', 39.5296, -119.8138, 264000],
+  ['Las Vegas', 'NV', 'US', 36.1699, -115.1398, 641000],
+  ['Phoenix', 'AZ', 'US', 33.4484, -112.074, 1608000],
+  ['Tucson', 'AZ', 'US', 32.2226, -110.9747, 542000],
+  ['Salt Lake City', 'UT', 'US', 40.7608, -111.891, 200000],
+  ['Denver', 'CO', 'US', 39.7392, -104.9903, 715000],
+  ['Boulder', 'CO', 'US', 40.015, -105.2705, 108000],
+  ['Albuquerque', 'NM', 'US', 35.0844, -106.6504, 564000],
+  ['Santa Fe', 'NM', 'US', 35.687, -105.9378, 88000],
+  ['Austin', 'TX', 'US', 30.2672, -97.7431, 961000],
+  ['Dallas', 'TX', 'US', 32.7767, -96.797, 1304000],
+  ['Houston', 'TX', 'US', 29.7604, -95.3698, 2304000],
+  ['San Antonio', 'TX', 'US', 29.4241, -98.4936, 1434000],
+  ['El Paso', 'TX', 'US', 31.7619, -106.485, 678000],
+  ['Oklahoma City', 'OK', 'US', 35.4676, -97.5164, 681000],
+  ['Kansas City', 'MO', 'US', 39.0997, -94.5786, 508000],
+  ['St. Louis', 'MO', 'US', 38.627, -90.1994, 301000],
+  ['Minneapolis', 'MN', 'US', 44.9778, -93.265, 429000],
+  ['Saint Paul', 'MN', 'US', 44.9537, -93.09, 311000],
+  ['Madison', 'WI', 'US', 43.0731, -89.4012, 269000],
+  ['Milwaukee', 'WI', 'US', 43.0389, -87.9065, 577000],
+  ['Chicago', 'IL', 'US', 41.8781, -87.6298, 2746000],
+  ['Detroit', 'MI', 'US', 42.3314, -83.0458, 639000],
+  ['Ann Arbor', 'MI', 'US', 42.2808, -83.743, 123000],
+  ['Indianapolis', 'IN', 'US', 39.7684, -86.1581, 887000],
+  ['Columbus', 'OH', 'US', 39.9612, -82.9988, 905000],
+  ['Cleveland', 'OH', 'US', 41.4993, -81.6944, 372000],
+  ['Cincinnati', 'OH', 'US', 39.1031, -84.512, 309000],
+  ['Pittsburgh', 'PA', 'US', 40.4406, -79.9959, 302000],
+  ['Philadelphia', 'PA', 'US', 39.9526, -75.1652, 1603000],
+  ['New York', 'NY', 'US', 40.7128, -74.006, 8804000],
+  ['Brooklyn', 'NY', 'US', 40.6782, -73.9442, 2736000],
+  ['Buffalo', 'NY', 'US', 42.8864, -78.8784, 278000],
+  ['Albany', 'NY', 'US', 42.6526, -73.7562, 99000],
+  ['Newark', 'NJ', 'US', 40.7357, -74.1724, 311000],
+  ['Boston', 'MA', 'US', 42.3601, -71.0589, 675000],
+  ['Cambridge', 'MA', 'US', 42.3736, -71.1097, 118000],
+  ['Providence', 'RI', 'US', 41.824, -71.4128, 190000],
+  ['Burlington', 'VT', 'US', 44.4759, -73.2121, 45000],
+  ['Portland', 'ME', 'US', 43.6591, -70.2568, 68000],
+  ['Baltimore', 'MD', 'US', 39.2904, -76.6122, 586000],
+  ['Washington', 'DC', 'US', 38.9072, -77.0369, 690000],
+  ['Richmond', 'VA', 'US', 37.5407, -77.436, 226000],
+  ['Raleigh', 'NC', 'US', 35.7796, -78.6382, 467000],
+  ['Durham', 'NC', 'US', 35.994, -78.8986, 284000],
+  ['Charlotte', 'NC', 'US', 35.2271, -80.8431, 875000],
+  ['Asheville', 'NC', 'US', 35.5951, -82.5515, 94000],
+  ['Nashville', 'TN', 'US', 36.1627, -86.7816, 689000],
+  ['Memphis', 'TN', 'US', 35.1495, -90.049, 633000],
+  ['Louisville', 'KY', 'US', 38.2527, -85.7585, 617000],
+  ['Atlanta', 'GA', 'US', 33.749, -84.388, 499000],
+  ['New Orleans', 'LA', 'US', 29.9511, -90.0715, 384000],
+  ['Miami', 'FL', 'US', 25.7617, -80.1918, 442000],
+  ['Orlando', 'FL', 'US', 28.5383, -81.3792, 308000],
+  ['Tampa', 'FL', 'US', 27.9506, -82.4572, 385000],
+  ['Jacksonville', 'FL', 'US', 30.3322, -81.6557, 950000],
+  ['Honolulu', 'HI', 'US', 21.3069, -157.8583, 350000],
+  ['Anchorage', 'AK', 'US', 61.2181, -149.9003, 291000],
+
+  // Canada & Mexico
+  ['Vancouver', 'BC', 'CA', 49.2827, -123.1207, 662000],
+  ['Victoria', 'BC', 'CA', 48.4284, -123.3656, 92000],
+  ['Calgary', 'AB', 'CA', 51.0447, -114.0719, 1306000],
+  ['Edmonton', 'AB', 'CA', 53.5461, -113.4938, 1010000],
+  ['Toronto', 'ON', 'CA', 43.6532, -79.3832, 2794000],
+  ['Ottawa', 'ON', 'CA', 45.4215, -75.6972, 1017000],
+  ['Montreal', 'QC', 'CA', 45.5017, -73.5673, 1763000],
+  ['Mexico City', 'CDMX', 'MX', 19.4326, -99.1332, 9209000],
+  ['Guadalajara', 'JAL', 'MX', 20.6597, -103.3496, 1385000],
+  ['Tijuana', 'BC', 'MX', 32.5149, -117.0382, 1922000],
+  ['Oaxaca', 'OAX', 'MX', 17.0732, -96.7266, 270000],
+
+  // Europe
+  ['London', 'England', 'GB', 51.5074, -0.1278, 8982000],
+  ['Manchester', 'England', 'GB', 53.4808, -2.2426, 553000],
+  ['Bristol', 'England', 'GB', 51.4545, -2.5879, 467000],
+  ['Edinburgh', 'Scotland', 'GB', 55.9533, -3.1883, 527000],
+  ['Glasgow', 'Scotland', 'GB', 55.8642, -4.2518, 633000],
+  ['Dublin', 'Leinster', 'IE', 53.3498, -6.2603, 555000],
+  ['Paris', 'Île-de-France', 'FR', 48.8566, 2.3522, 2161000],
+  ['Lyon', 'Auvergne-Rhône-Alpes', 'FR', 45.764, 4.8357, 516000],
+  ['Marseille', "Provence-Alpes-Côte d'Azur", 'FR', 43.2965, 5.3698, 870000],
+  ['Brussels', 'Brussels', 'BE', 50.8503, 4.3517, 1209000],
+  ['Amsterdam', 'North Holland', 'NL', 52.3676, 4.9041, 872000],
+  ['Rotterdam', 'South Holland', 'NL', 51.9244, 4.4777, 651000],
+  ['Berlin', 'Berlin', 'DE', 52.52, 13.405, 3645000],
+  ['Hamburg', 'Hamburg', 'DE', 53.5511, 9.9937, 1841000],
+  ['Munich', 'Bavaria', 'DE', 48.1351, 11.582, 1472000],
+  ['Cologne', 'North Rhine-Westphalia', 'DE', 50.9375, 6.9603, 1086000],
+  ['Leipzig', 'Saxony', 'DE', 51.3397, 12.3731, 597000],
+  ['Zurich', 'Zurich', 'CH', 47.3769, 8.5417, 421000],
+  ['Geneva', 'Geneva', 'CH', 46.2044, 6.1432, 203000],
+  ['Vienna', 'Vienna', 'AT', 48.2082, 16.3738, 1911000],
+  ['Prague', 'Prague', 'CZ', 50.0755, 14.4378, 1309000],
+  ['Warsaw', 'Masovia', 'PL', 52.2297, 21.0122, 1790000],
+  ['Copenhagen', 'Capital Region', 'DK', 55.6761, 12.5683, 794000],
+  ['Stockholm', 'Stockholm', 'SE', 59.3293, 18.0686, 975000],
+  ['Oslo', 'Oslo', 'NO', 59.9139, 10.7522, 697000],
+  ['Helsinki', 'Uusimaa', 'FI', 60.1699, 24.9384, 656000],
+  ['Madrid', 'Madrid', 'ES', 40.4168, -3.7038, 3223000],
+  ['Barcelona', 'Catalonia', 'ES', 41.3851, 2.1734, 1620000],
+  ['Lisbon', 'Lisbon', 'PT', 38.7223, -9.1393, 505000],
+  ['Porto', 'Porto', 'PT', 41.1579, -8.6291, 232000],
+  ['Rome', 'Lazio', 'IT', 41.9028, 12.4964, 2873000],
+  ['Milan', 'Lombardy', 'IT', 45.4642, 9.19, 1352000],
+  ['Athens', 'Attica', 'GR', 37.9838, 23.7275, 664000],
+  ['Istanbul', 'Istanbul', 'TR', 41.0082, 28.9784, 15460000],
+
+  // Rest of the world
+  ['Tokyo', 'Tokyo', 'JP', 35.6762, 139.6503, 13960000],
+  ['Osaka', 'Osaka', 'JP', 34.6937, 135.5023, 2691000],
+  ['Seoul', 'Seoul', 'KR', 37.5665, 126.978, 9776000],
+  ['Beijing', 'Beijing', 'CN', 39.9042, 116.4074, 21540000],
+  ['Shanghai', 'Shanghai', 'CN', 31.2304, 121.4737, 24870000],
+  ['Hong Kong', 'Hong Kong', 'HK', 22.3193, 114.1694, 7482000],
+  ['Taipei', 'Taipei', 'TW', 25.033, 121.5654, 2646000],
+  ['Singapore', 'Singapore', 'SG', 1.3521, 103.8198, 5686000],
+  ['Bangkok', 'Bangkok', 'TH', 13.7563, 100.5018, 10539000],
+  ['Manila', 'Metro Manila', 'PH', 14.5995, 120.9842, 1846000],
+  ['Jakarta', 'Jakarta', 'ID', -6.2088, 106.8456, 10562000],
+  ['Mumbai', 'Maharashtra', 'IN', 19.076, 72.8777, 12442000],
+  ['Delhi', 'Delhi', 'IN', 28.7041, 77.1025, 16787000],
+  ['Bengaluru', 'Karnataka', 'IN', 12.9716, 77.5946, 8443000],
+  ['Dubai', 'Dubai', 'AE', 25.2048, 55.2708, 3331000],
+  ['Tel Aviv', 'Tel Aviv', 'IL', 32.0853, 34.7818, 460000],
+  ['Cairo', 'Cairo', 'EG', 30.0444, 31.2357, 9540000],
+  ['Nairobi', 'Nairobi', 'KE', -1.2921, 36.8219, 4397000],
+  ['Lagos', 'Lagos', 'NG', 6.5244, 3.3792, 14862000],
+  ['Accra', 'Greater Accra', 'GH', 5.6037, -0.187, 2514000],
+  ['Cape Town', 'Western Cape', 'ZA', -33.9249, 18.4241, 4618000],
+  ['Johannesburg', 'Gauteng', 'ZA', -26.2041, 28.0473, 5635000],
+  ['Sydney', 'NSW', 'AU', -33.8688, 151.2093, 5312000],
+  ['Melbourne', 'VIC', 'AU', -37.8136, 144.9631, 5078000],
+  ['Brisbane', 'QLD', 'AU', -27.4698, 153.0251, 2560000],
+  ['Auckland', 'Auckland', 'NZ', -36.8485, 174.7633, 1657000],
+  ['Wellington', 'Wellington', 'NZ', -41.2865, 174.7762, 215000],
+  ['São Paulo', 'SP', 'BR', -23.5505, -46.6333, 12325000],
+  ['Rio de Janeiro', 'RJ', 'BR', -22.9068, -43.1729, 6748000],
+  ['Buenos Aires', 'Buenos Aires', 'AR', -34.6037, -58.3816, 3075000],
+  ['Santiago', 'Santiago Metropolitan', 'CL', -33.4489, -70.6693, 6257000],
+  ['Lima', 'Lima', 'PE', -12.0464, -77.0428, 9751000],
+  ['Bogotá', 'Bogotá', 'CO', 4.711, -74.0721, 7412000],
+  ['Medellín', 'Antioquia', 'CO', 6.2442, -75.5812, 2569000],
+];
+
+// [postal code, place name, region, country, latitude, longitude]
+/** @type {Array<[string, string, string, string, number, number]>} */
+export const POSTAL_AREAS = [
+  // Oakland
+  ['94601', 'Fruitvale', 'CA', 'US', 37.7767, -122.2168],
+  ['94602', 'Glenview', 'CA', 'US', 37.8013, -122.2107],
+  ['94603', 'Elmhurst', 'CA', 'US', 37.7396, -122.1725],
+  ['94605', 'Eastmont', 'CA', 'US', 37.7647, -122.1469],
+  ['94606', 'San Antonio', 'CA', 'US', 37.7918, -122.2431],
+  ['94607', 'West Oakland', 'CA', 'US', 37.8071, -122.2851],
+  ['94608', 'Emeryville', 'CA', 'US', 37.8351, -122.2836],
+  ['94609', 'Temescal', 'CA', 'US', 37.8356, -122.2637],
+  ['94610', 'Grand Lake', 'CA', 'US', 37.8122, -122.2417],
+  ['94611', 'Piedmont Avenue', 'CA', 'US', 37.8303, -122.2211],
+  ['94612', 'Downtown Oakland', 'CA', 'US', 37.8085, -122.2686],
+  ['94618', 'Rockridge', 'CA', 'US', 37.8436, -122.2406],
+  ['94619', 'Redwood Heights', 'CA', 'US', 37.7884, -122.1848],
+  ['94621', 'Coliseum', 'CA', 'US', 37.7512, -122.1974],
+  // Berkeley / Albany / El Cerrito
+  ['94702', 'West Berkeley', 'CA', 'US', 37.8656, -122.2852],
+  ['94703', 'South Berkeley', 'CA', 'US', 37.8631, -122.2749],
+  ['94704', 'Downtown Berkeley', 'CA', 'US', 37.8669, -122.2573],
+  ['94705', 'Claremont', 'CA', 'US', 37.8571, -122.2407],
+  ['94706', 'Albany', 'CA', 'US', 37.8895, -122.2963],
+  ['94707', 'Thousand Oaks', 'CA', 'US', 37.8957, -122.2794],
+  ['94708', 'Berkeley Hills', 'CA', 'US', 37.8989, -122.2626],
+  ['94709', 'North Berkeley', 'CA', 'US', 37.8784, -122.2659],
+  ['94710', 'West Berkeley', 'CA', 'US', 37.8684, -122.3009],
+  ['94530', 'El Cerrito', 'CA', 'US', 37.9162, -122.2999],
+  ['94804', 'Richmond', 'CA', 'US', 37.9239, -122.3414],
+  ['94501', 'Alameda', 'CA', 'US', 37.7706, -122.2618],
+  ['94577', 'San Leandro', 'CA', 'US', 37.7203, -122.1587],
+  // San Francisco
+  ['94102', 'Tenderloin', 'CA', 'US', 37.7816, -122.4156],
+  ['94103', 'South of Market', 'CA', 'US', 37.7725, -122.4147],
+  ['94107', 'Potrero Hill', 'CA', 'US', 37.7618, -122.3978],
+  ['94109', 'Nob Hill', 'CA', 'US', 37.7917, -122.4186],
+  ['94110', 'Mission', 'CA', 'US', 37.7486, -122.4158],
+  ['94112', 'Excelsior', 'CA', 'US', 37.7203, -122.4428],
+  ['94114', 'Castro', 'CA', 'US', 37.7584, -122.4358],
+  ['94115', 'Western Addition', 'CA', 'US', 37.7856, -122.4372],
+  ['94116', 'Parkside', 'CA', 'US', 37.7441, -122.4863],
+  ['94117', 'Haight-Ashbury', 'CA', 'US', 37.7701, -122.4453],
+  ['94118', 'Inner Richmond', 'CA', 'US', 37.7812, -122.4614],
+  ['94121', 'Outer Richmond', 'CA', 'US', 37.7786, -122.4893],
+  ['94122', 'Sunset', 'CA', 'US', 37.7593, -122.4836],
+  ['94123', 'Marina', 'CA', 'US', 37.8001, -122.4362],
+  ['94124', 'Bayview', 'CA', 'US', 37.7321, -122.3849],
+  ['94133', 'North Beach', 'CA', 'US', 37.8002, -122.4091],
+  // Peninsula / South Bay
+  ['94301', 'Palo Alto', 'CA', 'US', 37.4444, -122.1496],
+  ['94025', 'Menlo Park', 'CA', 'US', 37.4538, -122.1822],
+  ['94040', 'Mountain View', 'CA', 'US', 37.3801, -122.0861],
+  ['94086', 'Sunnyvale', 'CA', 'US', 37.3712, -122.0236],
+  ['95014', 'Cupertino', 'CA', 'US', 37.3169, -122.0467],
+  ['95050', 'Santa Clara', 'CA', 'US', 37.3505, -121.9522],
+  ['95112', 'Downtown San Jose', 'CA', 'US', 37.3441, -121.8836],
+  ['95060', 'Santa Cruz', 'CA', 'US', 36.9825, -122.0436],
+];
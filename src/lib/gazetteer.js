@@ -0,0 +1,239 @@
+/**
+ * Gazetteer - offline geocoding for the free-text location field
+ * Resolves "Oakland, CA", "94609" or "north berkeley" to coordinates using the bundled
+ * places in gazetteer-data.js. Nothing here ever calls an external service.
+ */
+
+import { PLACES, POSTAL_AREAS } from './gazetteer-data.js';
+import { geoDistance } from './geo.js';
+
+// Country codes shown as "City, REGION" rather than "City, COUNTRY"
+const REGION_LABEL_COUNTRIES = ['US', 'CA', 'AU'];
+
+/**
+ * @typedef {Object} Place
+ * @property {string} label - Display label ("Oakland, CA", "94609 Temescal, CA")
+ * @property {string} name - Place name
+ * @property {string} region - Region code
+ * @property {string} country - Country code
+ * @property {string|null} postalCode - Postal code (postal areas only)
+ * @property {[number, number]} geo - [latitude, longitude]
+ * @property {'city'|'postal'} kind - Entry kind
+ */
+
+/**
+ * @typedef {Place & {population: number, key: string}} GazetteerEntry
+ */
+
+/** @type {GazetteerEntry[]|null} */
+let entries = null;
+
+/**
+ * Normalize a place name for matching (lowercase, no accents or punctuation)
+ * @param {string} text - Place name
+ * @returns {string} Normalized name
+ */
+export function normalizePlaceName(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the lookup entries once, on first use
+ * @returns {GazetteerEntry[]} Gazetteer entries
+ */
+function getEntries() {
+  if (entries) return entries;
+
+  /** @type {GazetteerEntry[]} */
+  const places = PLACES.map(
+    ([name, region, country, lat, lon, population]) => ({
+      kind: 'city',
+      name,
+      region,
+      country,
+      postalCode: null,
+      geo: [lat, lon],
+      population,
+      key: normalizePlaceName(name),
+      label: `${name}, ${REGION_LABEL_COUNTRIES.includes(country) ? region : country}`,
+    })
+  );
+
+  /** @type {GazetteerEntry[]} */
+  const postal = POSTAL_AREAS.map(
+    ([postalCode, name, region, country, lat, lon]) => ({
+      kind: 'postal',
+      name,
+      region,
+      country,
+      postalCode,
+      geo: [lat, lon],
+      population: 0,
+      key: normalizePlaceName(name),
+      label: `${postalCode} ${name}, ${region}`,
+    })
+  );
+
+  entries = [...places, ...postal];
+  return entries;
+}
+
+/**
+ * Public shape of a gazetteer entry
+ * @param {GazetteerEntry} entry - Internal entry
+ * @returns {Place} Place
+ */
+function toPlace(entry) {
+  const { label, name, region, country, postalCode, geo, kind } = entry;
+  return { label, name, region, country, postalCode, geo, kind };
+}
+
+/**
+ * Pick the best of several same-named entries, preferring ones matching a qualifier
+ * ("Portland, ME" vs "Portland, OR"), then cities, then the closest to `near`
+ * (or the most populous)
+ * @param {GazetteerEntry[]} candidates - Entries with the same name
+ * @param {string} qualifier - Normalized text after the first comma (may be empty)
+ * @param {[number, number]|null} near - Bias towards this [lat, lon]
+ * @returns {GazetteerEntry|null} Best entry
+ */
+function pickBest(candidates, qualifier, near) {
+  const qualified = qualifier
+    ? candidates.filter((entry) =>
+        [entry.region, entry.country].some((code) =>
+          qualifier.split(' ').includes(normalizePlaceName(code))
+        )
+      )
+    : [];
+  const pool = qualified.length > 0 ? qualified : candidates;
+
+  return (
+    [...pool].sort(
+      (a, b) =>
+        (a.kind === 'city' ? 0 : 1) - (b.kind === 'city' ? 0 : 1) ||
+        (near
+          ? geoDistance(near, a.geo) - geoDistance(near, b.geo)
+          : b.population - a.population)
+    )[0] || null
+  );
+}
+
+/**
+ * Resolve a free-text location to coordinates
+ * Tries, in order: a postal code, an exact place name (optionally qualified by region or
+ * country after a comma), then the longest place name contained in the text.
+ * @param {string} text - Location as typed (e.g. "Oakland, CA", "94609", "north berkeley")
+ * @param {Object} [options] - Lookup options
+ * @param {[number, number]|null} [options.near] - Prefer the closest of same-named places (e.g. user location)
+ * @returns {Place|null} Matched place, or null
+ */
+export function geocodeLocation(text, options = {}) {
+  const { near = null } = options;
+  const normalized = normalizePlaceName(text);
+  if (!normalized) return null;
+
+  const all = getEntries();
+
+  const postalCode = /\b\d{5}\b/.exec(normalized)?.[0];
+  if (postalCode) {
+    const postal = all.find((entry) => entry.postalCode === postalCode);
+    if (postal) return toPlace(postal);
+  }
+
+  const [first, ...rest] = (text || '').split(',');
+  const name = normalizePlaceName(first);
+  const qualifier = normalizePlaceName(rest.join(' '));
+
+  const exact = pickBest(
+    all.filter((entry) => entry.key === name),
+    qualifier,
+    near
+  );
+  if (exact) return toPlace(exact);
+
+  // "north berkeley", "downtown oakland near the lake" - longest contained name wins
+  const padded = ` ${normalized} `;
+  const contained = all.filter((entry) => padded.includes(` ${entry.key} `));
+  if (contained.length === 0) return null;
+
+  const longest = Math.max(...contained.map((entry) => entry.key.length));
+  const best = pickBest(
+    contained.filter((entry) => entry.key.length === longest),
+    qualifier,
+    near
+  );
+  return best && toPlace(best);
+}
+
+/**
+ * Autocomplete suggestions for a partially typed location
+ * @param {string} text - Partial location
+ * @param {number} [limit] - Maximum suggestions (default 6)
+ * @returns {Place[]} Places, best first
+ */
+export function suggestLocations(text, limit = 6) {
+  const prefix = normalizePlaceName(text);
+  if (prefix.length < 2) return [];
+
+  return getEntries()
+    .filter(
+      (entry) =>
+        entry.key.startsWith(prefix) ||
+        normalizePlaceName(entry.label).startsWith(prefix) ||
+        (entry.postalCode && entry.postalCode.startsWith(prefix))
+    )
+    .sort(
+      (a, b) =>
+        (a.key.startsWith(prefix) ? 0 : 1) -
+          (b.key.startsWith(prefix) ? 0 : 1) ||
+        (a.kind === 'city' ? 0 : 1) - (b.kind === 'city' ? 0 : 1) ||
+        b.population - a.population
+    )
+    .slice(0, limit)
+    .map(toPlace);
+}
+
+/**
+ * Find the nearest known city to a coordinate (for display)
+ * @param {[number, number]} geo - [latitude, longitude]
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.maxDistanceKm] - Give up beyond this distance (default 25)
+ * @returns {(Place & {distanceKm: number})|null} Nearest place with distanceKm, or null
+ */
+export function reverseGeocode(geo, options = {}) {
+  const { maxDistanceKm = 25 } = options;
+  if (!Array.isArray(geo)) return null;
+
+  /** @type {GazetteerEntry|null} */
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const entry of getEntries()) {
+    if (entry.kind !== 'city') continue;
+    const distance = geoDistance(geo, entry.geo);
+    if (distance < nearestDistance) {
+      nearest = entry;
+      nearestDistance = distance;
+    }
+  }
+
+  if (!nearest || nearestDistance > maxDistanceKm) return null;
+  return { ...toPlace(nearest), distanceKm: nearestDistance };
+}
+
+/**
+ * Fill in `geo` for an intention that only has a free-text location
+ * @param {Object<string, *>} intention - Intention object
+ * @returns {Object<string, *>} The same intention, or a copy with geo resolved
+ */
+export function resolveIntentionGeo(intention) {
+  if (Array.isArray(intention?.geo) || !intention?.location) return intention;
+
+  const place = geocodeLocation(intention.location);
+  return place ? { ...intention, geo: place.geo } : intention;
+}
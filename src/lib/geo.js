@@ -0,0 +1,70 @@
+/**
+ * Geo Helpers - distance math shared by search, filters and geocoding
+ */
+
+/**
+ * Calculate geographic distance between two points (haversine formula)
+ * @param {[number, number]} geo1 - [latitude, longitude]
+ * @param {[number, number]} geo2 - [latitude, longitude]
+ * @returns {number} Distance in kilometers
+ */
+export function geoDistance(geo1, geo2) {
+  if (!geo1 || !geo2) return Infinity;
+
+  const [lat1, lon1] = geo1;
+  const [lat2, lon2] = geo2;
+
+  const R = 6371; // Earth's radius in km
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+/**
+ * Resolve a place name to coordinates from the locations intentions already carry
+ * Averages the geo of every intention whose location mentions the name.
+ * @param {string} name - Place name (e.g. 'oakland')
+ * @param {Array<Object<string, *>>} intentions - Intentions with `location` and `geo`
+ * @returns {[number, number]|null} [latitude, longitude], or null if unknown
+ */
+export function findPlaceCoordinates(name, intentions) {
+  const needle = (name || '').trim().toLowerCase();
+  if (!needle) return null;
+
+  const matches = intentions.filter(
+    (intention) =>
+      Array.isArray(intention.geo) &&
+      typeof intention.location === 'string' &&
+      intention.location.toLowerCase().includes(needle)
+  );
+  if (matches.length === 0) return null;
+
+  const lat =
+    matches.reduce((sum, intention) => sum + intention.geo[0], 0) /
+    matches.length;
+  const lon =
+    matches.reduce((sum, intention) => sum + intention.geo[1], 0) /
+    matches.length;
+  return [lat, lon];
+}
+
+/**
+ * Format a distance for display
+ * @param {number} km - Distance in kilometers
+ * @returns {string} e.g. '450 m', '3.2 km', '18 km'
+ */
+export function formatDistance(km) {
+  if (!Number.isFinite(km)) return '';
+  if (km < 1) return `${Math.round(km * 1000)} m`;
+  if (km < 10) return `${km.toFixed(1)} km`;
+  return `${Math.round(km)} km`;
+}
@@ -0,0 +1,131 @@
+/**
+ * Highlight - sentence splitting and term spans for explainable search results
+ * Produces plain { text, term, sentence } segments so components can render
+ * highlights without {@html}.
+ */
+
+import { tokenize } from './lexical-index.js';
+
+/**
+ * Split text into sentences with their character offsets
+ * @param {string} text - Text to split
+ * @returns {Array<{text: string, start: number, end: number}>} Sentences (trimmed)
+ */
+export function splitSentences(text) {
+  if (!text) return [];
+
+  const sentences = [];
+  const pattern = /[^.!?\n]+(?:[.!?]+|\n|$)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const raw = match[0];
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed.length === 0) continue;
+
+    const start = match.index + leading;
+    sentences.push({ text: trimmed, start, end: start + trimmed.length });
+  }
+  return sentences;
+}
+
+/**
+ * Stems for a list of keywords (as produced by tokenize)
+ * @param {Array<string>} keywords - Keywords or query terms
+ * @returns {Set<string>} Stems
+ */
+function toStems(keywords) {
+  return new Set((keywords || []).flatMap((keyword) => tokenize(keyword)));
+}
+
+/**
+ * Find the words in a text that match any of the given terms (stem match)
+ * @param {string} text - Text to scan
+ * @param {Array<string>} terms - Keywords or query terms
+ * @returns {Array<{start: number, end: number, word: string}>} Word spans in order
+ */
+export function findTermSpans(text, terms) {
+  const stems = toStems(terms);
+  if (!text || stems.size === 0) return [];
+
+  const spans = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [stem] = tokenize(match[0]);
+    if (stem && stems.has(stem)) {
+      spans.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        word: match[0],
+      });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Distinct words of a text that match the query (lowercased, in order of appearance)
+ * @param {string} text - Text to scan
+ * @param {Array<string>} terms - Query terms
+ * @returns {string[]} Matched words
+ */
+export function matchedKeywords(text, terms) {
+  return [
+    ...new Set(
+      findTermSpans(text, terms).map((span) => span.word.toLowerCase())
+    ),
+  ];
+}
+
+/**
+ * Break a text into segments flagged as matched term and/or inside the best sentence
+ * @param {string} text - Text to segment
+ * @param {Object} [options] - Highlight options
+ * @param {Array<string>} [options.terms] - Keywords to highlight
+ * @param {{start: number, end: number}|null} [options.sentence] - Character range to mark
+ * @returns {Array<{text: string, term: boolean, sentence: boolean}>} Segments covering the text
+ */
+export function highlightSegments(text, options = {}) {
+  const { terms = [], sentence = null } = options;
+  if (!text) return [];
+
+  // Every position where the highlight state can change
+  const spans = findTermSpans(text, terms);
+  const cuts = new Set([0, text.length]);
+  for (const span of spans) {
+    cuts.add(span.start);
+    cuts.add(span.end);
+  }
+  if (sentence) {
+    cuts.add(Math.max(0, sentence.start));
+    cuts.add(Math.min(text.length, sentence.end));
+  }
+
+  const points = [...cuts].sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    if (start === end) continue;
+
+    const segment = {
+      text: text.slice(start, end),
+      term: spans.some((span) => span.start <= start && end <= span.end),
+      sentence: !!sentence && sentence.start <= start && end <= sentence.end,
+    };
+
+    // Merge runs with the same flags
+    const previous = segments[segments.length - 1];
+    if (
+      previous &&
+      previous.term === segment.term &&
+      previous.sentence === segment.sentence
+    ) {
+      previous.text += segment.text;
+    } else {
+      segments.push(segment);
+    }
+  }
+  return segments;
+}
@@ -0,0 +1,389 @@
+/**
+ * Intention Access Controller - owner-only edits for the shared intentions store
+ * Anyone can create an intention, but only the DID in its `createdBy` may update, complete,
+ * archive or delete it. Moderators delegated in the controller manifest may hide or unhide
+ * an entry (the `hidden*` fields) and change nothing else.
+ *
+ * Ownership always comes from the key's causal past (the entries reachable through `next`):
+ * every revision there must share one `createdBy`, and only a key deleted or never written
+ * there may be created anew. Each write also names the revisions of the intention it was based
+ * on (`basedOn`, oplog entry hashes), which must lie in that past; since concurrent revisions
+ * are merged per field group (intention-merge.js), whatever the writer may not change must be
+ * carried over from one of them. Writes from app versions without `basedOn` are checked
+ * against the whole causal past instead.
+ */
+
+import {
+  Entry,
+  IPFSBlockStorage,
+  LRUStorage,
+  ComposedStorage,
+} from '@orbitdb/core';
+import * as Block from 'multiformats/block';
+import * as dagCbor from '@ipld/dag-cbor';
+import { sha256 } from 'multiformats/hashes/sha2';
+import { base58btc } from 'multiformats/bases/base58';
+import { migrateIntention, sanitizeIntention } from './intention-schema.js';
+import {
+  FIELD_GROUPS,
+  isGroupedField,
+  sameFieldValue,
+} from './intention-merge.js';
+
+const type = 'intention-owner';
+
+// Fields only moderators may change (owners must carry them over untouched)
+export const MODERATION_FIELDS = FIELD_GROUPS.hidden;
+
+// Written anew by every revision, whoever writes it
+const BOOKKEEPING_FIELDS = ['fieldClocks', 'basedOn'];
+
+/**
+ * @typedef {Object} CausalPast
+ * @property {Array<{ hash: string, value: Object<string, *> }>} revisions - PUTs of the key, newest first
+ * @property {boolean} deleted - Whether the key was deleted before them
+ */
+
+/**
+ * Bring a document into the shape the app merges (current schema, sanitized)
+ * Deliberately not validated: validity depends on the clock, verdicts must not.
+ * @param {Object<string, *>} value - Stored document
+ * @returns {Object<string, *>} Normalized document
+ */
+function normalize(value) {
+  try {
+    return sanitizeIntention(migrateIntention(value));
+  } catch (error) {
+    console.warn(
+      '⚠️ Comparing unmigratable intention as stored:',
+      /** @type {Error} */ (error).message
+    );
+    return value;
+  }
+}
+
+/**
+ * Whether a field group in `next` is one already written before (same values and stamp),
+ * or left out entirely (it then loses every merge, see intention-merge.js)
+ * @param {Array<Object<string, *>>} history - Earlier revisions
+ * @param {Object<string, *>} next - Document being written
+ * @param {string} group - Field group name
+ * @returns {boolean} True if the group introduces nothing new
+ */
+function isCarried(history, next, group) {
+  const fields = FIELD_GROUPS[group];
+  const stamp = next.fieldClocks?.[group] || '';
+  if (!stamp && fields.every((field) => next[field] === undefined)) return true;
+
+  return history.some(
+    (past) =>
+      (past.fieldClocks?.[group] || '') === stamp &&
+      fields.every((field) => sameFieldValue(past[field], next[field]))
+  );
+}
+
+/**
+ * Whether a write is allowed, given the owner of the intention and the revisions it builds on
+ * Owners may change everything but the moderation group; moderators only the moderation group.
+ * @param {string|null} owner - Owner DID from the key's causal past (null if the key is free)
+ * @param {Array<Object<string, *>>} history - Revisions the write builds on, newest first
+ * @param {Object<string, *>} next - Document being written
+ * @param {string} writer - Writer DID
+ * @param {Array<string>} [moderators] - Moderator DIDs
+ * @returns {boolean} True if allowed
+ */
+export function isAllowedWrite(owner, history, next, writer, moderators = []) {
+  if (!next || typeof next !== 'object') return false;
+  const previous = history.map(normalize);
+  const value = normalize(next);
+
+  if (!owner) {
+    return (
+      previous.length === 0 &&
+      value.createdBy === writer &&
+      isCarried([], value, 'hidden')
+    );
+  }
+  if (
+    previous.length === 0 ||
+    value.createdBy !== owner ||
+    previous.some((past) => past.createdBy !== owner)
+  )
+    return false;
+
+  if (writer === owner) {
+    return isCarried(previous, value, 'hidden');
+  }
+  if (moderators.includes(writer)) {
+    const groupsCarried = Object.keys(FIELD_GROUPS)
+      .filter((group) => group !== 'hidden')
+      .every((group) => isCarried(previous, value, group));
+    const fieldsCarried = Object.keys(value)
+      .filter(
+        (field) => !BOOKKEEPING_FIELDS.includes(field) && !isGroupedField(field)
+      )
+      .every((field) =>
+        previous.some((past) => sameFieldValue(past[field], value[field]))
+      );
+    return groupsCarried && fieldsCarried;
+  }
+  return false;
+}
+
+/**
+ * Store the controller manifest
+ * @param {{ storage: Object<string, *>, params: Object<string, *> }} manifest - Storage and controller parameters
+ * @returns {Promise<string>} Manifest hash
+ */
+const AccessControlManifest = async ({ storage, params }) => {
+  const manifest = { type, ...params };
+  const { cid, bytes } = await Block.encode({
+    value: manifest,
+    codec: dagCbor,
+    hasher: sha256,
+  });
+  const hash = cid.toString(base58btc);
+  await storage.put(hash, bytes);
+  return hash;
+};
+
+/**
+ * Read a stored controller manifest
+ * @param {Object<string, *>} storage - Manifest storage
+ * @param {string} address - Controller address
+ * @returns {Promise<{ admin: string, moderators: Array<string> }>} Manifest
+ */
+const readManifest = async (storage, address) => {
+  const bytes = await storage.get(address.replaceAll(`/${type}/`, ''));
+  const { value } = await Block.decode({
+    bytes,
+    codec: dagCbor,
+    hasher: sha256,
+  });
+  return /** @type {{ admin: string, moderators: Array<string> }} */ (value);
+};
+
+/**
+ * Defines the intention access controller (register it with `useAccessController` before
+ * opening a database that uses it)
+ * @param {Object} [options] - Controller options
+ * @param {Array<string>} [options.moderators] - DIDs allowed to hide entries (the creator is always one)
+ * @param {Object<string, *>} [options.storage] - Storage for the manifest and entry lookups
+ * @returns {Function} OrbitDB access controller factory
+ */
+export const IntentionAccessController =
+  ({ moderators: delegated, storage: customStorage } = {}) =>
+  /** @param {{ orbitdb: Object<string, *>, identities: Object<string, *>, address?: string }} database */
+  async ({ orbitdb, identities, address: existingAddress }) => {
+    // Per database: the options are shared by every database opened with this controller
+    const storage =
+      customStorage ||
+      (await ComposedStorage(
+        await LRUStorage({ size: 1000 }),
+        await IPFSBlockStorage({ ipfs: orbitdb.ipfs, pin: true })
+      ));
+
+    const creator = orbitdb.identity.id;
+    const { admin, moderators } = existingAddress
+      ? await readManifest(storage, existingAddress)
+      : {
+          admin: creator,
+          moderators: [...new Set([creator, ...(delegated || [])])],
+        };
+    const address =
+      existingAddress ||
+      `/${type}/${await AccessControlManifest({ storage, params: { admin, moderators } })}`;
+
+    // hash -> { time, next, op, key }, enough to walk the log without re-decoding
+    const summaries = new Map();
+    // hash -> Promise<boolean>, so an entry referenced by many later ones is judged once
+    const verdicts = new Map();
+    // key -> creator DID, for writes that claim an empty causal past
+    const owners = new Map();
+
+    /** @param {string} hash */
+    const readEntry = async (hash) => {
+      const bytes = await storage.get(hash);
+      return bytes ? Entry.decode(bytes) : null;
+    };
+
+    /** @param {string} hash */
+    const summarize = async (hash) => {
+      if (summaries.has(hash)) return summaries.get(hash);
+      const entry = await readEntry(hash);
+      if (!entry) return null;
+
+      const { op, key } = entry.payload || {};
+      const summary = { time: entry.clock.time, next: entry.next, op, key };
+      summaries.set(hash, summary);
+      return summary;
+    };
+
+    /**
+     * Revisions of a key in an entry's causal past, newest (highest clock) first
+     * Stops at the latest deletion: a re-created key starts over. The log verifies every
+     * ancestor of an entry before adding it, so everything found here was allowed too.
+     * @param {Object<string, *>} entry - Entry being verified
+     * @param {string} key - Document key
+     * @returns {Promise<CausalPast>} Earlier PUTs of the key, and whether a deletion ended the walk
+     */
+    const findHistory = async (entry, key) => {
+      const seen = new Set();
+      /** @type {Array<Object<string, *>>} */
+      const frontier = [];
+      /** @type {Array<{ hash: string, value: Object<string, *> }>} */
+      const revisions = [];
+      let deleted = false;
+
+      /** @param {Array<string>} hashes */
+      const enqueue = async (hashes) => {
+        for (const hash of hashes) {
+          if (seen.has(hash)) continue;
+          seen.add(hash);
+          const summary = await summarize(hash);
+          if (summary) frontier.push({ hash, ...summary });
+        }
+      };
+
+      await enqueue(entry.next);
+      while (frontier.length > 0) {
+        let latest = 0;
+        for (let i = 1; i < frontier.length; i++) {
+          if (frontier[i].time > frontier[latest].time) latest = i;
+        }
+        const [candidate] = frontier.splice(latest, 1);
+        if (candidate.key === key) {
+          if (candidate.op === 'DEL') {
+            deleted = true;
+            break;
+          }
+          const value = (await readEntry(candidate.hash))?.payload?.value;
+          if (value) revisions.push({ hash: candidate.hash, value });
+        }
+        await enqueue(candidate.next);
+      }
+      return { revisions, deleted };
+    };
+
+    /**
+     * Owner of a key as of an entry: the `createdBy` shared by every revision in its causal past
+     * The writer picks `next`, so an empty past only frees the key after a deletion, or if this
+     * peer has not seen it created.
+     * @param {string} key - Document key
+     * @param {CausalPast} past - The entry's causal past
+     * @returns {string|null|undefined} Owner DID, null if the key is free, undefined if the past disagrees
+     */
+    const findOwner = (key, past) => {
+      if (past.revisions.length === 0) {
+        return past.deleted ? null : owners.get(key) || null;
+      }
+      const [owner, ...others] = new Set(
+        past.revisions.map(({ value }) => value.createdBy)
+      );
+      return others.length === 0 && typeof owner === 'string'
+        ? owner
+        : undefined;
+    };
+
+    /**
+     * The revisions a write names as its base, newest first
+     * Each must be a PUT of the same key in the entry's causal past.
+     * @param {CausalPast} past - The entry's causal past
+     * @param {Array<string>} hashes - Its `basedOn` hashes
+     * @returns {Array<Object<string, *>>|null} Stored documents, or null if any is not in the past
+     */
+    const readBase = (past, hashes) => {
+      const named = new Set(hashes);
+      const base = past.revisions.filter(({ hash }) => named.has(hash));
+      return base.length === named.size ? base.map(({ value }) => value) : null;
+    };
+
+    /**
+     * Whether the writer of an entry may change the key it touches
+     * @param {Object<string, *>} entry - Log entry
+     * @returns {Promise<boolean>} True if allowed
+     */
+    const judge = async (entry) => {
+      const writerIdentity = await identities.getIdentity(entry.identity);
+      if (!writerIdentity || !(await identities.verifyIdentity(writerIdentity)))
+        return false;
+
+      const writer = writerIdentity.id;
+      const { op, key, value } = entry.payload || {};
+      const past = await findHistory(entry, key);
+      const owner = findOwner(key, past);
+
+      let allowed;
+      if (owner === undefined) {
+        allowed = false;
+      } else if (op === 'DEL') {
+        allowed = !owner || owner === writer;
+      } else if (op === 'PUT') {
+        const history = Array.isArray(value?.basedOn)
+          ? readBase(past, value.basedOn)
+          : past.revisions.map((revision) => revision.value);
+        allowed =
+          history !== null &&
+          isAllowedWrite(owner, history, value, writer, moderators);
+      } else {
+        allowed = false;
+      }
+
+      if (!allowed) {
+        console.warn('🔒 Rejected write to intention', key, 'by', writer);
+      } else if (
+        op === 'PUT' &&
+        !owner &&
+        (await Entry.verify(identities, entry))
+      ) {
+        owners.set(key, writer);
+      }
+      return allowed;
+    };
+
+    /**
+     * Verifies an entry: valid identity, and the writer may change the key it touches
+     * Rejections are not remembered, since a base revision may just not have arrived yet.
+     * @param {Object<string, *>} entry - Log entry
+     * @returns {Promise<boolean>} True if the entry may be added
+     */
+    const canAppend = (entry) => {
+      if (!verdicts.has(entry.hash)) {
+        const verdict = judge(entry).then((allowed) => {
+          if (!allowed) verdicts.delete(entry.hash);
+          return allowed;
+        });
+        verdicts.set(entry.hash, verdict);
+      }
+      return verdicts.get(entry.hash);
+    };
+
+    /**
+     * Whether an identity may edit or delete an intention
+     * @param {Object<string, *>} intention - Intention document
+     * @param {string} identityId - Identity DID
+     * @returns {boolean} True for the owner
+     */
+    const canModify = (intention, identityId) =>
+      Boolean(intention) && intention.createdBy === identityId;
+
+    /**
+     * Whether an identity may hide intentions
+     * @param {string} identityId - Identity DID
+     * @returns {boolean} True for moderators
+     */
+    const isModerator = (identityId) => moderators.includes(identityId);
+
+    return {
+      type,
+      address,
+      admin,
+      moderators,
+      write: ['*'],
+      canAppend,
+      canModify,
+      isModerator,
+    };
+  };
+
+IntentionAccessController.type = type;
@@ -0,0 +1,139 @@
+/**
+ * Intention History - revisions of one intention rebuilt from the OrbitDB oplog
+ * Every PUT/DEL for an intention's key is a revision; each one lists who wrote it, when,
+ * and which fields changed compared to the revision before.
+ */
+
+import { migrateIntention } from './intention-schema.js';
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} hash - Oplog entry hash
+ * @property {string} op - Operation (PUT or DEL)
+ * @property {Object<string, *>|null} value - Document written (null for DEL)
+ * @property {string|null} author - Writer DID, if resolved
+ */
+
+/** @typedef {{ field: string, before: *, after: * }} FieldChange */
+
+/**
+ * @typedef {Object} IntentionRevision
+ * @property {string} hash - Oplog entry hash
+ * @property {string} op - Operation (PUT or DEL)
+ * @property {string|null} author - Writer DID
+ * @property {number|null} timestamp - Claimed wall-clock time
+ * @property {Object<string, *>|null} value - Migrated document (null for DEL)
+ * @property {Array<FieldChange>} changes - Fields changed since the previous revision
+ */
+
+// Derived or bookkeeping fields, left out of diffs
+const IGNORED_FIELDS = new Set([
+  '_id',
+  'intentionId',
+  'schemaVersion',
+  'updatedAt',
+  'fieldClocks',
+  'basedOn',
+  'embedding',
+  'embeddingModel',
+  'embeddingDim',
+  'embeddedAt',
+  'embeddingSource',
+]);
+
+// Fields an owner gets back when restoring a revision
+export const RESTORABLE_FIELDS = [
+  'title',
+  'description',
+  'location',
+  'geo',
+  'tags',
+  'keywords',
+  'category',
+  'status',
+  'expiresAt',
+];
+
+/**
+ * Migrate a stored revision, keeping it as stored if migration fails
+ * @param {Object<string, *>} value - Stored document
+ * @returns {Object<string, *>} Migrated document
+ */
+function migrateRevision(value) {
+  try {
+    return migrateIntention(value);
+  } catch (error) {
+    console.warn(
+      '⚠️ Could not migrate revision for diffing:',
+      /** @type {Error} */ (error).message
+    );
+    return value;
+  }
+}
+
+/**
+ * Compare two field values structurally
+ * @param {*} a - Field value
+ * @param {*} b - Field value
+ * @returns {boolean} True if equal
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Field-level differences between two versions of an intention
+ * @param {Object<string, *>|null} before - Earlier version (null for a creation)
+ * @param {Object<string, *>|null} after - Later version (null for a deletion)
+ * @returns {Array<FieldChange>} Changed fields, alphabetically
+ */
+export function diffIntentions(before, after) {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.has(field))
+    .filter((field) => !sameValue(before?.[field], after?.[field]))
+    .sort()
+    .map((field) => ({
+      field,
+      before: before?.[field] ?? null,
+      after: after?.[field] ?? null,
+    }));
+}
+
+/**
+ * Build revisions from an intention's oplog entries
+ * Documents are migrated before diffing, so schema upgrades do not show up as edits.
+ * @param {Array<HistoryEntry>} entries - Oplog entries of the key, oldest first
+ * @returns {Array<IntentionRevision>} Revisions, newest first
+ */
+export function buildRevisions(entries) {
+  /** @type {Array<IntentionRevision>} */
+  const revisions = [];
+  /** @type {Object<string, *>|null} */
+  let previous = null;
+
+  for (const entry of entries) {
+    const value =
+      entry.op === 'PUT' && entry.value ? migrateRevision(entry.value) : null;
+    const changes = diffIntentions(previous, value);
+
+    revisions.push({
+      hash: entry.hash,
+      op: entry.op,
+      author: entry.author || value?.createdBy || null,
+      // Wall-clock time as claimed by the writer (the oplog itself only has logical clocks)
+      timestamp: value
+        ? Math.max(value.updatedAt || 0, value.hiddenAt || 0) || null
+        : null,
+      value,
+      changes,
+    });
+    previous = value;
+  }
+
+  return revisions.reverse();
+}
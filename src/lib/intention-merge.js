@@ -0,0 +1,271 @@
+/**
+ * Intention Merge - field-level merge of concurrent intention edits
+ * Each group of related fields carries a hybrid logical clock (HLC) stamp in `fieldClocks`,
+ * renewed whenever the group changes. Concurrent revisions of an intention are merged group by
+ * group, the highest stamp winning, so a tag edit on one device and a status change on another
+ * both survive. The merge is order-independent: peers that have seen the same revisions end up
+ * with the same document.
+ */
+
+// Fields that change together; each group has one stamp
+/** @type {Object<string, Array<string>>} */
+export const FIELD_GROUPS = {
+  title: ['title'],
+  description: ['description'],
+  location: ['location', 'geo'],
+  tags: ['tags'],
+  keywords: ['keywords'],
+  category: ['category'],
+  status: ['status', 'completedAt', 'archivedAt'],
+  expiresAt: ['expiresAt'],
+  embedding: [
+    'embedding',
+    'embeddingModel',
+    'embeddingDim',
+    'embeddedAt',
+    'embeddingSource',
+  ],
+  hidden: ['hidden', 'hiddenBy', 'hiddenAt', 'hiddenReason'],
+};
+
+const GROUPED_FIELDS = new Set(Object.values(FIELD_GROUPS).flat());
+
+// Fixed when an intention is created; a revision that changes them is not one of its edits
+const IDENTITY_FIELDS = ['intentionId', '_id', 'createdBy', 'createdAt'];
+
+// `<physical ms, 13 digits>-<counter, 5 digits>-<node DID>`, ordered by plain string comparison
+const STAMP_PATTERN = /^(\d{13})-(\d{5})-(.*)$/;
+const MAX_COUNTER = 99999;
+
+// Local HLC state
+let lastPhysical = 0;
+let lastCounter = 0;
+
+/**
+ * JSON with sorted keys, so decoded (CBOR) and freshly written values compare equal
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Whether two field values are equal (undefined and null count as the same)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+export function sameFieldValue(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Build a clock stamp
+ * @param {number} physical - Wall-clock milliseconds
+ * @param {number} counter - Logical counter within the millisecond
+ * @param {string} node - Writer DID (breaks ties)
+ * @returns {string} Stamp
+ */
+export function formatStamp(physical, counter, node) {
+  const ms = Math.max(0, Math.floor(Number(physical) || 0));
+  return `${String(ms).padStart(13, '0')}-${String(counter).padStart(5, '0')}-${node || ''}`;
+}
+
+/**
+ * Parse a clock stamp
+ * @param {*} stamp - Stamp to parse
+ * @returns {{physical: number, counter: number, node: string}|null} Parts, or null if malformed
+ */
+export function parseStamp(stamp) {
+  const match = typeof stamp === 'string' ? stamp.match(STAMP_PATTERN) : null;
+  if (!match) return null;
+  return {
+    physical: Number(match[1]),
+    counter: Number(match[2]),
+    node: match[3],
+  };
+}
+
+/**
+ * Issue a new stamp, later than every stamp issued or observed so far
+ * @param {string} node - Writer DID
+ * @returns {string} Stamp
+ */
+export function nextStamp(node) {
+  const now = Date.now();
+  if (now > lastPhysical) {
+    lastPhysical = now;
+    lastCounter = 0;
+  } else if (lastCounter < MAX_COUNTER) {
+    lastCounter++;
+  } else {
+    lastPhysical++;
+    lastCounter = 0;
+  }
+  return formatStamp(lastPhysical, lastCounter, node);
+}
+
+/**
+ * Advance the local clock past the stamps of a received document, so the next local edit
+ * wins over what this device has already seen even if its wall clock is behind
+ * @param {Object<string, *>} intention - Received (validated) intention
+ */
+export function observeStamps(intention) {
+  for (const stamp of Object.values(intention?.fieldClocks || {})) {
+    const parsed = parseStamp(stamp);
+    if (!parsed) continue;
+    if (parsed.physical > lastPhysical) {
+      lastPhysical = parsed.physical;
+      lastCounter = parsed.counter;
+    } else if (parsed.physical === lastPhysical) {
+      lastCounter = Math.max(lastCounter, parsed.counter);
+    }
+  }
+}
+
+/**
+ * Fingerprint of the text an embedding is computed from (title + description)
+ * @param {Object<string, *>} intention - Intention
+ * @returns {string} FNV-1a hash (hex)
+ */
+export function embeddingFingerprint(intention) {
+  const text = `${intention.title} ${intention.description || ''}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Stamp the field groups that differ between the version an edit started from and the edit
+ * @param {Object<string, *>|null} previous - Version the edit is based on (null for a new intention)
+ * @param {Object<string, *>} next - Edited document
+ * @param {string} node - Writer DID
+ * @returns {Object<string, *>} Edited document with updated fieldClocks (and embeddingSource)
+ */
+export function stampChanges(previous, next, node) {
+  /** @type {Object<string, *>} */
+  const stamped = {
+    ...next,
+    fieldClocks: { ...(previous?.fieldClocks || {}) },
+  };
+  if (
+    stamped.embedding !== undefined &&
+    !sameFieldValue(previous?.embedding, stamped.embedding)
+  ) {
+    stamped.embeddingSource = embeddingFingerprint(stamped);
+  }
+
+  const stamp = nextStamp(node);
+  for (const [group, fields] of Object.entries(FIELD_GROUPS)) {
+    // Removing a group's fields is a change too, so e.g. unhiding wins over an older hide
+    if (
+      fields.some((field) => !sameFieldValue(previous?.[field], stamped[field]))
+    ) {
+      stamped.fieldClocks[group] = stamp;
+    }
+  }
+  return stamped;
+}
+
+/**
+ * Highest stamp of any field group of a revision
+ * @param {Object<string, *>} intention - Revision
+ * @returns {string} Stamp ('' if it has none)
+ */
+function latestStamp(intention) {
+  return Object.values(intention.fieldClocks || {}).reduce(
+    (max, stamp) => (stamp > max ? stamp : max),
+    ''
+  );
+}
+
+/**
+ * Code-unit order, independent of locale
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} -1, 0 or 1
+ */
+function compareStrings(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Merge concurrent revisions of one intention
+ * Each field group comes from the revision with the highest stamp for it; ungrouped fields
+ * come from the most recently stamped revision. Revisions whose identity fields differ from the
+ * earliest one are ignored, so a later write cannot change the owner. An embedding whose text
+ * was changed by another revision is dropped (it is recomputed locally).
+ * @param {Array<Object<string, *>>} revisions - Migrated, valid revisions of the same intention
+ * @returns {Object<string, *>} Merged intention
+ */
+export function mergeIntentionRevisions(revisions) {
+  // Deterministic order: latest stamp, then content (identical stamps from a rewrite)
+  const sorted = revisions
+    .map((revision) => ({
+      revision,
+      latest: latestStamp(revision),
+      text: stableStringify(revision),
+    }))
+    .sort(
+      (a, b) =>
+        compareStrings(a.latest, b.latest) || compareStrings(a.text, b.text)
+    )
+    .map(({ revision }) => revision);
+  const ordered = sorted.filter((revision) =>
+    IDENTITY_FIELDS.every((field) =>
+      sameFieldValue(revision[field], sorted[0][field])
+    )
+  );
+
+  const base = ordered[ordered.length - 1];
+  /** @type {Object<string, *>} */
+  const merged = { ...base, fieldClocks: {} };
+
+  for (const [group, fields] of Object.entries(FIELD_GROUPS)) {
+    const winner = ordered.reduce((best, revision) =>
+      (revision.fieldClocks?.[group] || '') >= (best.fieldClocks?.[group] || '')
+        ? revision
+        : best
+    );
+    for (const field of fields) {
+      if (winner[field] === undefined) delete merged[field];
+      else merged[field] = winner[field];
+    }
+    if (winner.fieldClocks?.[group])
+      merged.fieldClocks[group] = winner.fieldClocks[group];
+  }
+
+  merged.updatedAt = Math.max(
+    ...ordered.map((revision) => revision.updatedAt || 0)
+  );
+
+  if (
+    merged.embedding !== undefined &&
+    merged.embeddingSource !== embeddingFingerprint(merged)
+  ) {
+    FIELD_GROUPS.embedding.forEach((field) => delete merged[field]);
+    delete merged.fieldClocks.embedding;
+  }
+  return merged;
+}
+
+/**
+ * Whether a field belongs to a merge group (everything else is taken whole from one revision)
+ * @param {string} field - Field name
+ * @returns {boolean} True if grouped
+ */
+export function isGroupedField(field) {
+  return GROUPED_FIELDS.has(field);
+}
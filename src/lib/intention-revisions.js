@@ -0,0 +1,152 @@
+/**
+ * Intention Revisions - the oplog entries of each intention, indexed by key
+ * Loading, merging or listing the history of one intention looks up that intention's own
+ * entries instead of walking the whole log. The index is built once and then caught up from
+ * the log heads before each read: only entries it has not seen yet are fetched, so keeping
+ * it current costs O(new entries) rather than O(log).
+ */
+
+/**
+ * @typedef {Object} IndexedEntry
+ * @property {string} hash - Entry hash
+ * @property {string} op - 'PUT' or 'DEL'
+ * @property {string} key - Intention ID
+ * @property {*} value - Stored document (null for a deletion)
+ * @property {string} identity - Writer identity hash
+ * @property {number} time - Lamport clock time
+ * @property {string} clockId - Lamport clock id (the writer's key)
+ */
+
+/**
+ * Oplog order: Lamport clock, then writer id (what the log iterator yields, reversed)
+ * @param {IndexedEntry} a - Indexed entry
+ * @param {IndexedEntry} b - Indexed entry
+ * @returns {number} Negative if a comes first
+ */
+function compareEntries(a, b) {
+  if (a.time !== b.time) return a.time - b.time;
+  if (a.clockId !== b.clockId) return a.clockId < b.clockId ? -1 : 1;
+  if (a.hash === b.hash) return 0;
+  return a.hash < b.hash ? -1 : 1;
+}
+
+export class RevisionIndex {
+  /**
+   * @param {*} log - OrbitDB oplog (`database.log`)
+   */
+  constructor(log) {
+    this.log = log;
+    /** @type {Map<string, Array<IndexedEntry>>} key -> entries, oldest first */
+    this.entriesByKey = new Map();
+    /** @type {Set<string>} */
+    this.indexed = new Set();
+    /** @type {Promise<void>} */
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Index the entries reachable from the current log heads that are not indexed yet
+   * Calls are queued, so a read never sees a half-indexed batch.
+   * @returns {Promise<void>}
+   */
+  sync() {
+    this.pending = this.pending.then(async () =>
+      this.indexFrom(await this.log.heads())
+    );
+    return this.pending;
+  }
+
+  /**
+   * Walk back from the given entries until reaching entries already indexed
+   * @param {Array<*>} heads - Log entries to start from
+   */
+  async indexFrom(heads) {
+    const stack = heads.filter(
+      (entry) => entry && !this.indexed.has(entry.hash)
+    );
+
+    while (stack.length > 0) {
+      const entry = stack.pop();
+      if (this.indexed.has(entry.hash)) continue;
+      this.add(entry);
+
+      for (const hash of entry.next || []) {
+        if (this.indexed.has(hash)) continue;
+        const previous = await this.log.get(hash);
+        if (previous) stack.push(previous);
+      }
+    }
+  }
+
+  /**
+   * @param {*} entry - Log entry
+   */
+  add(entry) {
+    this.indexed.add(entry.hash);
+    const { op, key, value } = entry.payload || {};
+    if (key === undefined || key === null) return;
+
+    /** @type {IndexedEntry} */
+    const indexed = {
+      hash: entry.hash,
+      op,
+      key,
+      value,
+      identity: entry.identity,
+      time: entry.clock?.time ?? 0,
+      clockId: String(entry.clock?.id ?? ''),
+    };
+    const entries = this.entriesByKey.get(key) || [];
+    let position = entries.length;
+    while (position > 0 && compareEntries(entries[position - 1], indexed) > 0)
+      position--;
+    entries.splice(position, 0, indexed);
+    this.entriesByKey.set(key, entries);
+  }
+
+  /**
+   * @returns {Array<string>} Every key that has entries
+   */
+  keys() {
+    return [...this.entriesByKey.keys()];
+  }
+
+  /**
+   * All entries of an intention, deletions included
+   * @param {string} key - Intention ID
+   * @returns {Array<IndexedEntry>} Entries, oldest first
+   */
+  history(key) {
+    return this.entriesByKey.get(key) || [];
+  }
+
+  /**
+   * The revisions of an intention since its latest deletion
+   * @param {string} key - Intention ID
+   * @returns {Array<IndexedEntry>} PUT entries, newest first
+   */
+  revisions(key) {
+    const revisions = [];
+    const entries = this.history(key);
+    for (let i = entries.length - 1; i >= 0 && entries[i].op !== 'DEL'; i--) {
+      if (entries[i].op === 'PUT') revisions.push(entries[i]);
+    }
+    return revisions;
+  }
+
+  /**
+   * The revisions since the latest deletion that no later revision names in `basedOn`,
+   * i.e. what a new write has to build on (see intention-access.js)
+   * @param {string} key - Intention ID
+   * @returns {Array<IndexedEntry>} PUT entries, newest first
+   */
+  heads(key) {
+    const revisions = this.revisions(key);
+    const superseded = new Set(
+      revisions.flatMap((revision) =>
+        Array.isArray(revision.value?.basedOn) ? revision.value.basedOn : []
+      )
+    );
+    return revisions.filter((revision) => !superseded.has(revision.hash));
+  }
+}
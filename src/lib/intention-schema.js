@@ -0,0 +1,582 @@
+/**
+ * Intention Schema - versioned document shape and migrations
+ * Every intention written to OrbitDB carries `schemaVersion`. Documents from older app
+ * versions are upgraded on read by the registered migrations (one per version step);
+ * documents from newer app versions are passed through untouched, so peers running
+ * different versions can share a database without clobbering each other's fields.
+ *
+ * Any peer can write to the shared database, so replicated documents are also sanitized
+ * and validated here (prepareIntention) before they reach search or the UI.
+ */
+
+import {
+  LEGACY_EMBEDDING_MODEL_ID,
+  getEmbeddingModel,
+} from './embedding-models.js';
+import {
+  getEmbeddingDimension,
+  getEmbeddingFormat,
+} from './embedding-codec.js';
+import {
+  FIELD_GROUPS,
+  embeddingFingerprint,
+  formatStamp,
+  parseStamp,
+} from './intention-merge.js';
+
+// Version stamped on documents this app writes
+export const INTENTION_SCHEMA_VERSION = 3;
+
+// Enumerated field values (the search operators category: and status: accept the same ones)
+export const INTENTION_CATEGORIES = [
+  'request',
+  'offer',
+  'collective',
+  'general',
+];
+export const INTENTION_STATUSES = ['active', 'completed', 'archived'];
+
+// Field limits (CreateIntentionForm enforces the same ones)
+export const INTENTION_LIMITS = {
+  id: 100,
+  title: 200,
+  description: 2000,
+  location: 200,
+  tags: 20,
+  tagLength: 50,
+  keywords: 50,
+  embeddingDimension: 4096,
+};
+
+// Timestamps further ahead than this are treated as forged
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} IntentionMigration
+ * @property {number} version - Version the migration produces
+ * @property {string} description - What changes
+ * @property {(intention: Object<string, *>) => Object<string, *>} migrate - Upgrade from version - 1
+ */
+
+// Registered migrations by the version they produce
+/** @type {Map<number, IntentionMigration>} */
+const migrations = new Map();
+
+/**
+ * Register a migration
+ * Migrations must keep fields they do not know about (spread the input).
+ * @param {number} version - Version the migration produces
+ * @param {string} description - What changes
+ * @param {IntentionMigration['migrate']} migrate - (intention) => intention at `version`
+ * @returns {IntentionMigration} The registered migration
+ */
+export function registerIntentionMigration(version, description, migrate) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid schema version: ${version}`);
+  }
+  if (migrations.has(version)) {
+    throw new Error(
+      `Migration to schema version ${version} is already registered`
+    );
+  }
+
+  const migration = { version, description, migrate };
+  migrations.set(version, migration);
+  return migration;
+}
+
+/**
+ * List registered migrations in version order
+ * @returns {IntentionMigration[]} Migrations
+ */
+export function listIntentionMigrations() {
+  return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Get the schema version a document was written with
+ * @param {Object<string, *>} intention - Intention document
+ * @returns {number} Version (0 for documents written before versioning)
+ */
+export function getSchemaVersion(intention) {
+  return Number.isInteger(intention?.schemaVersion)
+    ? intention.schemaVersion
+    : 0;
+}
+
+/**
+ * Check whether a document is older than this app's schema
+ * @param {Object<string, *>} intention - Intention document
+ * @returns {boolean} True if migrateIntention would change it
+ */
+export function needsMigration(intention) {
+  return getSchemaVersion(intention) < INTENTION_SCHEMA_VERSION;
+}
+
+/**
+ * Upgrade a document to the current schema
+ * @param {Object<string, *>} intention - Intention document (not modified)
+ * @returns {Object<string, *>} Migrated document, or the input if it is current or newer
+ */
+export function migrateIntention(intention) {
+  if (!intention || !needsMigration(intention)) return intention;
+
+  let migrated = intention;
+  for (
+    let version = getSchemaVersion(intention) + 1;
+    version <= INTENTION_SCHEMA_VERSION;
+    version++
+  ) {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new Error(`No migration registered for schema version ${version}`);
+    }
+    migrated = { ...migration.migrate(migrated), schemaVersion: version };
+  }
+  return migrated;
+}
+
+/**
+ * Stamp a newly built document with the current schema version
+ * @param {Object<string, *>} intention - Intention document
+ * @returns {Object<string, *>} Document with schemaVersion
+ */
+export function withSchemaVersion(intention) {
+  return { ...intention, schemaVersion: INTENTION_SCHEMA_VERSION };
+}
+
+/**
+ * Read a list of strings (legacy documents stored comma-separated strings)
+ * @param {*} value - Field value
+ * @returns {string[]} Non-empty strings
+ */
+function toStringList(value) {
+  if (Array.isArray(value))
+    return value.filter((item) => typeof item === 'string' && item.trim());
+  if (typeof value === 'string') {
+    return value
+      .split(',')
+      .map((item) => item.trim())
+      .filter((item) => item.length > 0);
+  }
+  return [];
+}
+
+/**
+ * Read a timestamp (legacy documents stored ISO strings)
+ * @param {*} value - Field value
+ * @returns {number|null} Epoch milliseconds, or null if unreadable
+ */
+function toTimestamp(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  const parsed = typeof value === 'string' ? Date.parse(value) : NaN;
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// 0 → 1: the base shape createIntention has always meant to write
+registerIntentionMigration(
+  1,
+  'Base fields with defaults; tags as an array; numeric timestamps',
+  (intention) => {
+    const createdAt = toTimestamp(intention.createdAt) ?? 0;
+    return {
+      ...intention,
+      _id: intention._id || intention.intentionId,
+      description: intention.description || '',
+      location: intention.location || '',
+      geo: Array.isArray(intention.geo) ? intention.geo : null,
+      status: intention.status || 'active',
+      tags: toStringList(intention.tags),
+      category: intention.category || 'general',
+      createdAt,
+      updatedAt: toTimestamp(intention.updatedAt) ?? createdAt,
+      expiresAt: toTimestamp(intention.expiresAt),
+    };
+  }
+);
+
+// 1 → 2: keywords become part of the schema; embeddings name the model that produced them
+registerIntentionMigration(
+  2,
+  'Keywords list; explicit embedding model and dimension',
+  (intention) => {
+    /** @type {Object<string, *>} */
+    const migrated = {
+      ...intention,
+      keywords: [
+        ...new Set(
+          toStringList(intention.keywords).map((keyword) =>
+            keyword.toLowerCase()
+          )
+        ),
+      ],
+    };
+
+    if (intention.embedding && !intention.embeddingModel) {
+      migrated.embeddingModel = LEGACY_EMBEDDING_MODEL_ID;
+      migrated.embeddingDim = getEmbeddingDimension(intention.embedding);
+    }
+    return migrated;
+  }
+);
+
+// Documents from before field clocks count as written in one go at their last update
+registerIntentionMigration(
+  3,
+  'Per-field clocks for merging concurrent edits',
+  (intention) => {
+    const stamp = formatStamp(
+      intention.updatedAt || intention.createdAt,
+      0,
+      intention.createdBy
+    );
+    /** @type {Object<string, string>} */
+    const fieldClocks = {};
+    for (const [group, fields] of Object.entries(FIELD_GROUPS)) {
+      if (fields.some((field) => intention[field] !== undefined))
+        fieldClocks[group] = stamp;
+    }
+    if (fieldClocks.hidden) {
+      fieldClocks.hidden = formatStamp(
+        intention.hiddenAt,
+        0,
+        intention.hiddenBy
+      );
+    }
+
+    /** @type {Object<string, *>} */
+    const migrated = { ...intention, fieldClocks };
+    if (intention.embedding)
+      migrated.embeddingSource = embeddingFingerprint(intention);
+    return migrated;
+  }
+);
+
+/**
+ * Strip control characters (keeping line breaks and tabs where multi-line text is allowed)
+ * @param {*} value - Field value
+ * @param {boolean} multiline - Keep \n and \t
+ * @returns {*} Cleaned string, or the value unchanged if it is not a string
+ */
+function stripControlCharacters(value, multiline = false) {
+  if (typeof value !== 'string') return value;
+  /* eslint-disable no-control-regex */
+  const pattern = multiline
+    ? /[\u0000-\u0008\u000B-\u001F\u007F]/g
+    : /[\u0000-\u001F\u007F]/g;
+  /* eslint-enable no-control-regex */
+  return value.replace(pattern, '');
+}
+
+/**
+ * Clean harmless irregularities in a (migrated) document: control characters, stray
+ * whitespace, duplicate tags. Anything still wrong afterwards is left for validateIntention.
+ * @param {Object<string, *>} intention - Intention document
+ * @returns {Object<string, *>} Sanitized copy
+ */
+export function sanitizeIntention(intention) {
+  /** @param {*} value */
+  const clean = (value) => {
+    const stripped = stripControlCharacters(value);
+    return typeof stripped === 'string' ? stripped.trim() : stripped;
+  };
+  /** @param {*} list */
+  const cleanList = (list) =>
+    Array.isArray(list)
+      ? [...new Set(list.map(clean).filter((item) => item !== ''))]
+      : list;
+
+  return {
+    ...intention,
+    title: clean(intention.title),
+    description:
+      typeof intention.description === 'string'
+        ? stripControlCharacters(intention.description, true).trim()
+        : intention.description,
+    location: clean(intention.location),
+    tags: cleanList(intention.tags),
+    keywords: cleanList(intention.keywords),
+  };
+}
+
+/**
+ * Check for a finite number (NaN and Infinity do not count)
+ * @param {*} value - Any value
+ * @returns {value is number} True for finite numbers
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check a string field's type, presence and length
+ * @param {string[]} errors - Error list to append to
+ * @param {Object<string, *>} intention - Intention document
+ * @param {string} field - Field name
+ * @param {{ required?: boolean, max: number }} limits - Whether it is required; maximum length
+ */
+function checkString(errors, intention, field, { required = false, max }) {
+  const value = intention[field];
+  if (typeof value !== 'string') {
+    errors.push(`${field} must be a string`);
+  } else if (required && value.length === 0) {
+    errors.push(`${field} is required`);
+  } else if (value.length > max) {
+    errors.push(`${field} too long (${value.length} > ${max} chars)`);
+  }
+}
+
+/**
+ * Check a string-list field's type, item count and item length
+ * @param {string[]} errors - Error list to append to
+ * @param {Object<string, *>} intention - Intention document
+ * @param {string} field - Field name
+ * @param {number} maxItems - Maximum number of items
+ * @param {number} maxLength - Maximum item length
+ */
+function checkStringList(errors, intention, field, maxItems, maxLength) {
+  const value = intention[field];
+  if (!Array.isArray(value)) {
+    errors.push(`${field} must be a list`);
+    return;
+  }
+  if (value.length > maxItems)
+    errors.push(`too many ${field} (${value.length} > ${maxItems})`);
+  if (
+    value.some((item) => typeof item !== 'string' || item.length > maxLength)
+  ) {
+    errors.push(`${field} must be strings of at most ${maxLength} chars`);
+  }
+}
+
+/**
+ * Check that field clocks are well-formed stamps and not from the future
+ * @param {string[]} errors - Error list to append to
+ * @param {*} fieldClocks - Field group -> clock stamp
+ * @param {number} latestAllowed - Latest acceptable physical time
+ */
+function checkFieldClocks(errors, fieldClocks, latestAllowed) {
+  if (
+    !fieldClocks ||
+    typeof fieldClocks !== 'object' ||
+    Array.isArray(fieldClocks)
+  ) {
+    errors.push('fieldClocks must be an object');
+    return;
+  }
+  const entries = Object.entries(fieldClocks);
+  if (entries.length > Object.keys(FIELD_GROUPS).length * 2) {
+    errors.push(`too many fieldClocks (${entries.length})`);
+  }
+  for (const [group, stamp] of entries) {
+    const parsed =
+      typeof stamp === 'string' && stamp.length <= 600
+        ? parseStamp(stamp)
+        : null;
+    if (!parsed) errors.push(`fieldClocks.${group} is not a clock stamp`);
+    else if (parsed.physical > latestAllowed)
+      errors.push(`fieldClocks.${group} is in the future`);
+  }
+}
+
+/**
+ * Check a stored embedding: known format, sane dimension, payload matching the dimension,
+ * and the registered dimension of the model it claims to come from
+ * @param {Array<string>} errors - Error list to append to
+ * @param {Object<string, *>} intention - Intention document with an embedding
+ */
+function checkEmbedding(errors, intention) {
+  const { embedding } = intention;
+  const format = getEmbeddingFormat(embedding);
+  if (!format) {
+    errors.push('embedding has an unknown format');
+    return;
+  }
+
+  const dimension = getEmbeddingDimension(embedding);
+  if (
+    !Number.isInteger(dimension) ||
+    dimension < 1 ||
+    dimension > INTENTION_LIMITS.embeddingDimension
+  ) {
+    errors.push(`embedding dimension ${dimension} out of range`);
+    return;
+  }
+
+  if (format === 'float') {
+    if (!embedding.every(isFiniteNumber))
+      errors.push('embedding contains non-numeric values');
+  } else {
+    const bytes = format === 'int8' ? dimension : Math.ceil(dimension / 8);
+    const expectedLength = 4 * Math.ceil(bytes / 3);
+    if (
+      typeof embedding.data !== 'string' ||
+      embedding.data.length !== expectedLength
+    ) {
+      errors.push(
+        `${format} embedding payload does not match dimension ${dimension}`
+      );
+    } else if (!/^[A-Za-z0-9+/]*={0,2}$/.test(embedding.data)) {
+      errors.push(`${format} embedding payload is not base64`);
+    }
+    if (
+      format === 'int8' &&
+      !(isFiniteNumber(embedding.scale) && embedding.scale > 0)
+    ) {
+      errors.push('int8 embedding scale must be a positive number');
+    }
+  }
+
+  if (
+    intention.embeddingDim !== undefined &&
+    intention.embeddingDim !== dimension
+  ) {
+    errors.push(
+      `embeddingDim ${intention.embeddingDim} does not match the vector (${dimension})`
+    );
+  }
+  const model = getEmbeddingModel(intention.embeddingModel);
+  if (model && model.dimension !== dimension) {
+    errors.push(
+      `embedding dimension ${dimension} does not match ${model.id} (${model.dimension})`
+    );
+  }
+}
+
+/**
+ * Validate a migrated document against the schema
+ * Documents from newer app versions are only held to the fields every version shares
+ * (enumerations may have grown).
+ * @param {Object<string, *>} intention - Intention document
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateIntention(intention) {
+  if (!intention || typeof intention !== 'object' || Array.isArray(intention)) {
+    return ['not an object'];
+  }
+
+  /** @type {string[]} */
+  const errors = [];
+  const isKnownVersion =
+    getSchemaVersion(intention) <= INTENTION_SCHEMA_VERSION;
+
+  checkString(errors, intention, 'intentionId', {
+    required: true,
+    max: INTENTION_LIMITS.id,
+  });
+  if (intention._id !== intention.intentionId)
+    errors.push('_id must equal intentionId');
+  checkString(errors, intention, 'title', {
+    required: true,
+    max: INTENTION_LIMITS.title,
+  });
+  checkString(errors, intention, 'description', {
+    max: INTENTION_LIMITS.description,
+  });
+  checkString(errors, intention, 'location', {
+    max: INTENTION_LIMITS.location,
+  });
+  checkString(errors, intention, 'createdBy', { required: true, max: 500 });
+  checkStringList(
+    errors,
+    intention,
+    'tags',
+    INTENTION_LIMITS.tags,
+    INTENTION_LIMITS.tagLength
+  );
+  checkStringList(
+    errors,
+    intention,
+    'keywords',
+    INTENTION_LIMITS.keywords,
+    INTENTION_LIMITS.tagLength
+  );
+
+  if (isKnownVersion && !INTENTION_STATUSES.includes(intention.status)) {
+    errors.push(`unknown status "${intention.status}"`);
+  }
+  if (isKnownVersion && !INTENTION_CATEGORIES.includes(intention.category)) {
+    errors.push(`unknown category "${intention.category}"`);
+  }
+
+  const latestAllowed = Date.now() + MAX_CLOCK_SKEW_MS;
+  for (const field of ['createdAt', 'updatedAt']) {
+    if (!isFiniteNumber(intention[field]) || intention[field] < 0) {
+      errors.push(`${field} must be a timestamp`);
+    } else if (intention[field] > latestAllowed) {
+      errors.push(`${field} is in the future`);
+    }
+  }
+  if (intention.expiresAt !== null && !isFiniteNumber(intention.expiresAt)) {
+    errors.push('expiresAt must be a timestamp or null');
+  }
+
+  if (intention.geo !== null) {
+    const [latitude, longitude] = Array.isArray(intention.geo)
+      ? intention.geo
+      : [];
+    if (
+      !Array.isArray(intention.geo) ||
+      intention.geo.length !== 2 ||
+      !isFiniteNumber(latitude) ||
+      !isFiniteNumber(longitude) ||
+      Math.abs(latitude) > 90 ||
+      Math.abs(longitude) > 180
+    ) {
+      errors.push('geo must be [latitude, longitude] within range, or null');
+    }
+  }
+
+  if (intention.embedding !== undefined && intention.embedding !== null) {
+    checkEmbedding(errors, intention);
+  }
+
+  // Set by moderators (see intention-access.js)
+  if (intention.hidden !== undefined && typeof intention.hidden !== 'boolean') {
+    errors.push('hidden must be a boolean');
+  }
+  if (intention.hiddenReason !== undefined) {
+    checkString(errors, intention, 'hiddenReason', {
+      max: INTENTION_LIMITS.description,
+    });
+  }
+
+  if (intention.fieldClocks !== undefined) {
+    checkFieldClocks(errors, intention.fieldClocks, latestAllowed);
+  }
+  if (
+    intention.basedOn !== undefined &&
+    (!Array.isArray(intention.basedOn) ||
+      intention.basedOn.some((hash) => typeof hash !== 'string'))
+  ) {
+    errors.push('basedOn must be a list of entry hashes');
+  }
+
+  return errors;
+}
+
+/**
+ * Migrate, sanitize and validate a document replicated from a peer
+ * @param {*} value - Raw document as stored in OrbitDB
+ * @returns {{intention: Object<string, *>|null, errors: Array<string>}} Usable document, or null with the problems found
+ */
+export function prepareIntention(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { intention: null, errors: ['not an object'] };
+  }
+
+  let intention;
+  try {
+    intention = sanitizeIntention(migrateIntention(value));
+  } catch (error) {
+    return {
+      intention: null,
+      errors: [`migration failed: ${/** @type {Error} */ (error).message}`],
+    };
+  }
+
+  const errors = validateIntention(intention);
+  return errors.length > 0
+    ? { intention: null, errors }
+    : { intention, errors };
+}
@@ -1,136 +1,165 @@
 /**
  * Intention Search Engine with Transformers.js Vector Search
- * Browser-native semantic similarity search using all-MiniLM-L6-v2
+ * Browser-native semantic similarity search using all-MiniLM-L6-v2,
+ * fused with BM25 keyword ranking (see lexical-index.js)
  */
 
-import { pipeline } from '@xenova/transformers';
-
-// Global model singleton
-let embeddingModel = null;
-let modelLoading = null;
+import { getLexicalIndex, scoreBM25, tokenize } from './lexical-index.js';
+import { splitSentences, matchedKeywords } from './highlight.js';
+import { recencyScore, isExpired } from './recency.js';
+import { diversifyResults } from './diversity.js';
+import { geoDistance } from './geo.js';
+import { DEFAULT_SEARCH_FILTERS, matchesFilters, computeFacets } from './search-filters.js';
+import { detectQueryIntent, classifyMatch, applyReciprocity } from './reciprocity.js';
+import { getActiveEmbeddingModel, isEmbeddingCurrent } from './embedding-models.js';
+import { encodeEmbedding, embeddingSimilarity, isEmbeddingFormat } from './embedding-codec.js';
+import { createWorkerClient } from './worker-client.js';
+
+// Storage codec helpers (int8/binary quantization) are part of the engine's public surface
+export {
+  encodeEmbedding,
+  decodeEmbedding,
+  embeddingSimilarity,
+  measureEmbeddingStorage
+} from './embedding-codec.js';
+
+// Embedding worker (the Transformers.js pipeline runs in embedding.worker.js)
+const embeddingWorker = createWorkerClient({
+  name: 'Embedding',
+  createWorker: () =>
+    new Worker(new URL('./embedding.worker.js', import.meta.url), { type: 'module' }),
+  initialStatus: { state: 'idle', model: null, error: null }
+});
+
+// Format new embeddings are stored in ('float' stays readable by older app versions)
+/** @type {import('./embedding-codec.js').EmbeddingFormat} */
+let embeddingStorageFormat = 'float';
+
+// Description sentence embeddings for result explanations (model id + text -> vector)
+const sentenceEmbeddingCache = new Map();
+const MAX_CACHED_SENTENCES = 2000;
 
 /**
- * Initialize the embedding model (call once on app startup)
- * @returns {Promise<void>}
+ * Initialize the active embedding model (call once on app startup)
+ * @returns {Promise<Object>} Model status once loaded
  */
 export async function initializeSearchModel() {
-  if (embeddingModel) return embeddingModel;
-  if (modelLoading) return modelLoading;
-
-  try {
-    console.log('🤖 Loading embedding model (all-MiniLM-L6-v2)...');
-
-    // Configure Transformers.js environment
-    const { env } = await import('@xenova/transformers');
-
-    // Use CDN models (not local)
-    env.allowLocalModels = false;
-
-    // Enable browser caching for faster subsequent loads
-    env.useBrowserCache = true;
-
-    // Set CDN to use for models (default is Hugging Face)
-    env.backends.onnx.wasm.numThreads = 1;
-
-    console.log('⚙️ Transformers.js environment configured');
-    console.log('   - allowLocalModels:', env.allowLocalModels);
-    console.log('   - useBrowserCache:', env.useBrowserCache);
+  const model = getActiveEmbeddingModel();
 
-    // Load the model
-    modelLoading = pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2');
-    embeddingModel = await modelLoading;
+  // Local embedders (see embedding-models.js) need no loading
+  if (model.embed) {
+    return { state: 'ready', model: model.id, error: null };
+  }
 
+  try {
+    console.log(`🤖 Loading embedding model (${model.label}) in worker...`);
+    const status = await embeddingWorker.request('init', { modelName: model.modelName }).promise;
     console.log('✅ Embedding model loaded successfully');
-    return embeddingModel;
+    return status;
   } catch (error) {
     console.error('❌ Failed to load embedding model:', error);
-    console.error('Error details:', {
-      message: error.message,
-      stack: error.stack?.substring(0, 200)
-    });
     throw new Error(`ML model loading failed: ${error.message}`);
   }
 }
 
 /**
- * Generate embedding vector for text
+ * Get the current model status from the worker
+ * @returns {Promise<Object>} { state: 'idle'|'loading'|'ready'|'error', model, error }
+ */
+export async function getSearchModelStatus() {
+  return embeddingWorker.request('status').promise;
+}
+
+/**
+ * Subscribe to model status changes broadcast by the worker
+ * @param {Function} listener - Callback(status)
+ * @returns {Function} Unsubscribe function
+ */
+export function onSearchModelStatus(listener) {
+  return embeddingWorker.onStatus(listener);
+}
+
+/**
+ * Generate embedding vector for text with the active model
  * @param {string} text - Text to embed
- * @returns {Promise<number[]>} 384-dimensional embedding vector
+ * @returns {Promise<number[]>} Embedding vector (384-dimensional for the default model)
  */
 export async function generateEmbedding(text) {
-  if (!embeddingModel) {
-    await initializeSearchModel();
+  const model = getActiveEmbeddingModel();
+  if (model.embed) return Array.from(await model.embed(text));
+  return embeddingWorker.request('embed', { text, modelName: model.modelName }).promise;
+}
+
+/**
+ * Choose the storage format for new embeddings
+ * Quantized formats shrink the OrbitDB oplog and IndexedDB cache; float entries stay readable.
+ * Peers running app versions without the codec cannot score quantized entries.
+ * @param {string} format - Storage format ('float', 'int8' or 'binary')
+ */
+export function setEmbeddingStorageFormat(format) {
+  if (!isEmbeddingFormat(format)) {
+    throw new Error(`Unknown embedding format: ${format}`);
   }
+  embeddingStorageFormat = format;
+}
 
-  const output = await embeddingModel(text, { pooling: 'mean', normalize: true });
-  return Array.from(output.data);
+/**
+ * Get the storage format used for new embeddings
+ * @returns {'float'|'int8'|'binary'} Storage format
+ */
+export function getEmbeddingStorageFormat() {
+  return embeddingStorageFormat;
+}
+
+/**
+ * Build the text that represents an intention in embedding space
+ * @param {Object<string, *>} intention - Intention object
+ * @returns {string} Text to embed
+ */
+function getEmbeddingText(intention) {
+  return `${intention.title} ${intention.description || ''}`;
 }
 
 /**
  * Add embedding to an intention object
- * @param {Object} intention - Intention without embedding
- * @returns {Promise<Object>} Intention with embedding field added
+ * @param {Object<string, *>} intention - Intention without embedding
+ * @returns {Promise<Object<string, *>>} Intention with embedding, embeddingModel and embeddingDim fields added
  */
 export async function embedIntention(intention) {
-  const textToEmbed = `${intention.title} ${intention.description || ''}`;
-  const embedding = await generateEmbedding(textToEmbed);
+  const model = getActiveEmbeddingModel();
+  const embedding = await generateEmbedding(getEmbeddingText(intention));
 
   return {
     ...intention,
-    embedding,
+    embedding: encodeEmbedding(embedding, embeddingStorageFormat),
+    embeddingModel: model.id,
+    embeddingDim: model.dimension,
     embeddedAt: Date.now()
   };
 }
 
 /**
- * Calculate cosine similarity between two vectors
- * @param {number[]} vecA - First vector
- * @param {number[]} vecB - Second vector
- * @returns {number} Similarity score (0-1, higher is more similar)
- */
-function cosineSimilarity(vecA, vecB) {
-  if (vecA.length !== vecB.length) {
-    throw new Error('Vectors must have same length');
-  }
-
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-
-  for (let i = 0; i < vecA.length; i++) {
-    dotProduct += vecA[i] * vecB[i];
-    normA += vecA[i] * vecA[i];
-    normB += vecB[i] * vecB[i];
-  }
-
-  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-}
-
-/**
- * Calculate geographic distance between two points (haversine formula)
- * @param {[number, number]} geo1 - [latitude, longitude]
- * @param {[number, number]} geo2 - [latitude, longitude]
- * @returns {number} Distance in kilometers
+ * Carry over locally computed embeddings into freshly synced intentions
+ * A synced entry whose vector is missing or from another model keeps our local vector,
+ * as long as the document itself did not change since we embedded it.
+ * @param {Array<Object<string, *>>} incoming - Intentions from OrbitDB
+ * @param {Array<Object<string, *>>} local - Intentions currently held (e.g. from cache)
+ * @returns {Array<Object<string, *>>} Incoming intentions with reusable local embeddings applied
  */
-function geoDistance(geo1, geo2) {
-  if (!geo1 || !geo2) return Infinity;
-
-  const [lat1, lon1] = geo1;
-  const [lat2, lon2] = geo2;
+export function reuseLocalEmbeddings(incoming, local) {
+  const localById = new Map(local.map((intention) => [intention.intentionId, intention]));
 
-  const R = 6371; // Earth's radius in km
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  return incoming.map((intention) => {
+    if (isEmbeddingCurrent(intention)) return intention;
 
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
+    const mine = localById.get(intention.intentionId);
+    if (!mine || !isEmbeddingCurrent(mine) || mine.updatedAt !== intention.updatedAt) {
+      return intention;
+    }
 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+    const { embedding, embeddingModel, embeddingDim, embeddedAt } = mine;
+    return { ...intention, embedding, embeddingModel, embeddingDim, embeddedAt };
+  });
 }
 
 /**
@@ -160,40 +189,299 @@ export function calculateCardDimensions(score, baseWidth = 320) {
 }
 
 /**
- * Search intentions with semantic similarity and optional geo-proximity
+ * Rank a list of candidates (1-based ranks, best first)
+ * @param {Array<{docIndex: number, score: number}>} scored - Scored candidates
+ * @returns {Map<number, number>} docIndex -> rank
+ */
+function toRanks(scored) {
+  const ranks = new Map();
+  scored
+    .sort((a, b) => b.score - a.score)
+    .forEach((entry, i) => ranks.set(entry.docIndex, i + 1));
+  return ranks;
+}
+
+/**
+ * Fuse ranked lists with reciprocal rank fusion, normalized to 0-1
+ * @param {number} docIndex - Document to score
+ * @param {Array<Map<number, number>>} rankLists - Non-empty rank lists
+ * @param {number} k - RRF damping constant
+ * @returns {number} Fused score (1 = ranked first in every list)
+ */
+function reciprocalRankFusion(docIndex, rankLists, k) {
+  if (rankLists.length === 0) return 0;
+
+  let fused = 0;
+  for (const ranks of rankLists) {
+    const rank = ranks.get(docIndex);
+    if (rank) fused += 1 / (k + rank);
+  }
+  return fused / (rankLists.length / (k + 1));
+}
+
+/**
+ * Embed a description sentence, reusing earlier embeddings of the same text
+ * @param {string} sentence - Sentence text
+ * @param {import('./embedding-models.js').EmbeddingModel} model - Active embedding model
+ * @returns {Promise<number[]>} Embedding vector
+ */
+async function embedSentence(sentence, model) {
+  const key = `${model.id}\u0000${sentence}`;
+  let embedding = sentenceEmbeddingCache.get(key);
+  if (embedding) return embedding;
+
+  embedding = await generateEmbedding(sentence);
+  if (sentenceEmbeddingCache.size >= MAX_CACHED_SENTENCES) {
+    sentenceEmbeddingCache.delete(sentenceEmbeddingCache.keys().next().value);
+  }
+  sentenceEmbeddingCache.set(key, embedding);
+  return embedding;
+}
+
+/**
+ * Pick the description sentence that best matches the query
+ * Uses sentence embeddings when a query embedding is available, otherwise the
+ * sentence with the most query terms.
+ * @param {string} description - Intention description
+ * @param {Array<string>} queryTerms - Tokenized query
+ * @param {number[]|null} queryEmbedding - Query vector (null = keyword only)
+ * @returns {Promise<MatchedSentence|null>} Best sentence, or null
+ */
+async function findBestSentence(description, queryTerms, queryEmbedding) {
+  const sentences = splitSentences(description);
+  if (sentences.length === 0) return null;
+
+  if (queryEmbedding) {
+    const model = getActiveEmbeddingModel();
+    try {
+      let best = null;
+      for (const sentence of sentences) {
+        const embedding = await embedSentence(sentence.text, model);
+        const similarity = embeddingSimilarity(queryEmbedding, embedding);
+        if (!best || similarity > best.similarity) best = { ...sentence, similarity };
+      }
+      return best;
+    } catch (error) {
+      console.warn('⚠️ Sentence embedding failed, falling back to keyword overlap:', error);
+    }
+  }
+
+  let best = null;
+  let bestHits = 0;
+  for (const sentence of sentences) {
+    const hits = matchedKeywords(sentence.text, queryTerms).length;
+    if (hits > bestHits) {
+      best = { ...sentence, similarity: null };
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+/**
+ * @typedef {Object} MatchedSentence
+ * @property {string} text - Sentence text
+ * @property {number} start - Start offset in the description
+ * @property {number} end - End offset in the description
+ * @property {number|null} similarity - Similarity to the query (null for a keyword match)
+ */
+
+/**
+ * @typedef {Object} MatchExplanation
+ * @property {MatchedSentence|null} sentence - Best-matching description sentence
+ * @property {string[]} keywords - Matched words from the title and description
+ * @property {string[]} tags - Tags that match the query
+ * @property {number|null} distanceKm - Distance from the user
+ */
+
+/**
+ * Explain why a result matched: best sentence, overlapping keywords and tags, distance
+ * @param {Object<string, *>} intention - Matched intention
+ * @param {Object} context - Query context
+ * @param {Array<string>} context.queryTerms - Tokenized query
+ * @param {number[]|null} context.queryEmbedding - Query vector (null = keyword only)
+ * @param {[number, number]|null} context.userLocation - User's [lat, lon]
+ * @param {boolean} context.withSentence - Compute the best-matching sentence
+ * @returns {Promise<MatchExplanation>} Match explanation
+ */
+async function explainMatch(intention, context) {
+  const { queryTerms, queryEmbedding, userLocation, withSentence } = context;
+  const querySet = new Set(queryTerms);
+  /** @type {string[]} */
+  const tags = Array.isArray(intention.tags) ? intention.tags : [];
+
+  return {
+    sentence: withSentence
+      ? await findBestSentence(intention.description, queryTerms, queryEmbedding)
+      : null,
+    keywords: matchedKeywords(`${intention.title || ''}\n${intention.description || ''}`, queryTerms),
+    tags: tags.filter((tag) => tokenize(tag).some((term) => querySet.has(term))),
+    distanceKm: userLocation && intention.geo ? geoDistance(userLocation, intention.geo) : null
+  };
+}
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {[number, number]|null} [userLocation] - User's [lat, lon] for geo-scoring
+ * @property {number} [semanticWeight] - Weight for text relevance score (default 0.7)
+ * @property {number} [geoWeight] - Weight for geo score (default 0.3)
+ * @property {number} [recencyWeight] - Weight for recency decay (default 0.2, 0 disables)
+ * @property {Object<string, number>} [halfLifeDays] - Per-category half-life overrides in days, see recency.js
+ * @property {boolean} [includeExpired] - Keep intentions past their expiresAt (default false)
+ * @property {number} [now] - Reference time for recency and expiry (default Date.now())
+ * @property {number} [minScore] - Minimum semantic similarity for results without a lexical match (default 0.1)
+ * @property {number} [maxResults] - Maximum results to return (default 50)
+ * @property {boolean} [useSemantic] - Include vector similarity (default true)
+ * @property {number} [rrfK] - Reciprocal rank fusion constant (default 10)
+ * @property {import('./vector-index.js').HnswIndex|null} [vectorIndex] - ANN index over the same intentions
+ * @property {number} [annThreshold] - Use the ANN index once it holds this many vectors (default 1000)
+ * @property {number} [annCandidates] - Nearest neighbours fetched from the ANN index (default 200)
+ * @property {'similar'|'complementary'} [matchMode] - 'complementary' ranks offers for request
+ *   queries (and requests for offer queries) above same-type matches (default 'similar')
+ * @property {string|null} [queryCategory] - Category of the query; detected from the text when omitted
+ * @property {number} [reciprocityBoost] - Strength of the complementary adjustment (default 0.3)
+ * @property {Object<string, *>} [filters] - Structured filters, see search-filters.js (default: active only)
+ * @property {boolean} [diversify] - Re-rank with maximal marginal relevance and group near-duplicates (default false)
+ * @property {number} [mmrLambda] - MMR trade-off, 1 = relevance only, 0 = diversity only (default 0.7)
+ * @property {number} [duplicateThreshold] - Embedding similarity grouped as a duplicate (default 0.92)
+ * @property {boolean} [explain] - Attach an `explanation` to each result (default true)
+ * @property {number} [explainSentences] - Results that get a best-matching sentence (default 10)
+ */
+
+/**
+ * Search intentions with hybrid lexical + semantic ranking and optional geo-proximity
+ *
+ * BM25 (title, description, tags, keywords) and cosine similarity rankings are
+ * merged with reciprocal rank fusion, so exact terms reliably outrank vague
+ * semantic neighbours. With useSemantic=false only the BM25 ranking is used,
+ * which is the fallback when the ML model is unavailable. An empty query matches
+ * every intention that passes the filters, newest first.
+ *
  * @param {string} query - Search query text
- * @param {Array<Object>} intentions - Array of intention objects with embeddings
- * @param {Object} options - Search options
- * @param {[number, number]} options.userLocation - User's [lat, lon] for geo-scoring
- * @param {number} options.semanticWeight - Weight for semantic score (default 0.7)
- * @param {number} options.geoWeight - Weight for geo score (default 0.3)
- * @param {number} options.minScore - Minimum combined score to include (default 0.1)
- * @param {number} options.maxResults - Maximum results to return (default 50)
- * @returns {Promise<Array<Object>>} Sorted results with scores and dimensions
+ * @param {Array<Object<string, *>>} intentions - Array of intention objects (with embeddings for semantic search)
+ * @param {SearchOptions} [options] - Search options
+ * @returns {Promise<Array<Object>>} Sorted results with scores, dimensions and explanation
  */
 export async function searchIntentions(query, intentions, options = {}) {
+  const { results } = await searchIntentionsWithFacets(query, intentions, options);
+  return results;
+}
+
+/**
+ * Search intentions and report facet counts for the matched set
+ * Facets are counted before structured filters apply, so filter chips can show
+ * how many results each value would add or remove.
+ * @param {string} query - Search query text
+ * @param {Array<Object<string, *>>} intentions - Array of intention objects
+ * @param {SearchOptions} [options] - Same options as searchIntentions
+ * @returns {Promise<{results: Array<Object<string, *>>, facets: import('./search-filters.js').SearchFacets}>} Results and facet counts
+ */
+export async function searchIntentionsWithFacets(query, intentions, options = {}) {
   const {
     userLocation = null,
     semanticWeight = 0.7,
     geoWeight = 0.3,
+    recencyWeight = 0.2,
+    halfLifeDays = {},
+    includeExpired = false,
+    now = Date.now(),
     minScore = 0.1,
-    maxResults = 50
+    maxResults = 50,
+    useSemantic = true,
+    // Lower than the usual 60: result sets are small and the fused score also sizes the cards
+    rrfK = 10,
+    vectorIndex = null,
+    annThreshold = 1000,
+    annCandidates = 200,
+    matchMode = 'similar',
+    queryCategory = detectQueryIntent(query),
+    reciprocityBoost = 0.3,
+    filters = DEFAULT_SEARCH_FILTERS,
+    diversify = false,
+    mmrLambda = 0.7,
+    duplicateThreshold = 0.92,
+    explain = true,
+    explainSentences = 10
   } = options;
 
-  // Generate query embedding
-  const queryEmbedding = await generateEmbedding(query);
-
-  // Score each intention
-  const results = intentions
-    .map((intention) => {
-      // Skip intentions without embeddings
-      if (!intention.embedding) {
-        console.warn(`Intention ${intention.intentionId} has no embedding`);
-        return null;
+  // Only the complementary mode reasons about request/offer reciprocity
+  const reciprocalCategory = matchMode === 'complementary' ? queryCategory : null;
+
+  // Operator-only queries (e.g. "tag:moving within:5km") list every intention that passes the filters
+  const hasText = Boolean(query.trim());
+
+  // Lexical scores (BM25 over the cached inverted index)
+  const lexicalScores = scoreBM25(getLexicalIndex(intentions), query);
+  let maxLexical = 0;
+  for (const score of lexicalScores.values()) maxLexical = Math.max(maxLexical, score);
+
+  // Semantic scores (only vectors from the active model are comparable)
+  const semanticScores = new Map();
+  /** @type {number[]|null} */
+  let queryEmbedding = null;
+  if (useSemantic && hasText) {
+    const model = getActiveEmbeddingModel();
+    const queryVector = await generateEmbedding(query);
+    queryEmbedding = queryVector;
+
+    if (vectorIndex && vectorIndex.modelId === model.id && vectorIndex.size >= annThreshold) {
+      // Approximate: only the ANN neighbourhood gets a semantic score
+      const docIndexById = new Map(intentions.map((intention, i) => [intention.intentionId, i]));
+      const neighbours = vectorIndex.search(queryVector, Math.max(annCandidates, maxResults));
+
+      for (const { id, similarity } of neighbours) {
+        const docIndex = docIndexById.get(id);
+        if (docIndex !== undefined) semanticScores.set(docIndex, similarity);
+      }
+    } else {
+      let skipped = 0;
+      intentions.forEach((intention, docIndex) => {
+        if (!isEmbeddingCurrent(intention, model)) {
+          skipped++;
+          return;
+        }
+        semanticScores.set(docIndex, embeddingSimilarity(queryVector, intention.embedding));
+      });
+
+      if (skipped > 0) {
+        console.warn(`${skipped} intentions have no ${model.id} embedding (keyword match only)`);
       }
+    }
+  }
 
-      // Calculate semantic similarity
-      const semanticScore = cosineSimilarity(queryEmbedding, intention.embedding);
+  // Candidates: any lexical match, or a semantic match above the threshold (never expired ones)
+  const candidates = intentions
+    .map((_, docIndex) => docIndex)
+    .filter((docIndex) => includeExpired || !isExpired(intentions[docIndex], now))
+    .filter(
+      (docIndex) =>
+        !hasText ||
+        lexicalScores.has(docIndex) ||
+        (semanticScores.get(docIndex) ?? 0) >= minScore
+    );
+
+  const semanticRanks = toRanks(
+    candidates
+      .filter((docIndex) => semanticScores.has(docIndex))
+      .map((docIndex) => ({ docIndex, score: semanticScores.get(docIndex) }))
+  );
+  const lexicalRanks = toRanks(
+    [...lexicalScores].map(([docIndex, score]) => ({ docIndex, score }))
+  );
+  const rankLists = [semanticRanks, lexicalRanks].filter((ranks) => ranks.size > 0);
+
+  // Facets describe every match; structured filters then narrow the result list
+  const facets = computeFacets(candidates.map((docIndex) => intentions[docIndex]));
+
+  // Score each candidate
+  /** @type {Array<Object<string, *>>} */
+  const scored = candidates
+    .filter((docIndex) => matchesFilters(intentions[docIndex], filters, userLocation))
+    .map((docIndex) => {
+      const intention = intentions[docIndex];
+      const semanticScore = semanticScores.get(docIndex) ?? 0;
+      const lexicalScore = maxLexical > 0 ? (lexicalScores.get(docIndex) ?? 0) / maxLexical : 0;
+      const relevanceScore = hasText ? reciprocalRankFusion(docIndex, rankLists, rrfK) : 1;
 
       // Calculate geo-proximity score
       let geoScore = 0;
@@ -202,11 +490,28 @@ export async function searchIntentions(query, intentions, options = {}) {
         geoScore = normalizeGeoScore(distance);
       }
 
-      // Combined score
-      const combinedScore =
-        userLocation && intention.geo
-          ? semanticScore * semanticWeight + geoScore * geoWeight
-          : semanticScore;
+      // Time decay with a per-category half-life
+      const recency = recencyScore(intention, { now, halfLifeDays });
+
+      // Weighted average of the available components, adjusted for request/offer reciprocity
+      let weighted = relevanceScore * semanticWeight;
+      let totalWeight = semanticWeight;
+      if (userLocation && intention.geo) {
+        weighted += geoScore * geoWeight;
+        totalWeight += geoWeight;
+      }
+      if (recencyWeight > 0) {
+        weighted += recency * recencyWeight;
+        totalWeight += recencyWeight;
+      }
+
+      const match = classifyMatch(reciprocalCategory, intention.category);
+      const combinedScore = applyReciprocity(
+        totalWeight > 0 ? weighted / totalWeight : relevanceScore,
+        match,
+        intention.category,
+        reciprocityBoost
+      );
 
       // Calculate card dimensions
       const dimensions = calculateCardDimensions(combinedScore);
@@ -215,49 +520,172 @@ export async function searchIntentions(query, intentions, options = {}) {
         ...intention,
         score: {
           combined: combinedScore,
+          relevance: relevanceScore,
           semantic: semanticScore,
-          geo: geoScore
+          lexical: lexicalScore,
+          geo: geoScore,
+          recency
         },
+        match,
         dimensions,
         matchPercentage: Math.round(combinedScore * 100)
       };
-    })
-    .filter((result) => result !== null && result.score.combined >= minScore)
-    .sort((a, b) => b.score.combined - a.score.combined)
-    .slice(0, maxResults);
+    });
+  scored.sort((a, b) => b.score.combined - a.score.combined || (b.createdAt || 0) - (a.createdAt || 0));
+
+  // Diversity stage: MMR over a pool of the best results (duplicates fold into groups)
+  const results = diversify
+    ? diversifyResults(scored.slice(0, maxResults * 2), {
+        lambda: mmrLambda,
+        duplicateThreshold,
+        limit: maxResults
+      })
+    : scored.slice(0, maxResults);
+
+  // Explanations (sentence embeddings only for the top results; they cost a model call each)
+  if (explain) {
+    const queryTerms = tokenize(query);
+    for (const [rank, result] of results.entries()) {
+      result.explanation = await explainMatch(result, {
+        queryTerms,
+        queryEmbedding,
+        userLocation,
+        withSentence: hasText && rank < explainSentences
+      });
+    }
+  }
 
-  console.log(`🔍 Search for "${query}" returned ${results.length} results`);
-  return results;
+  console.log(
+    `🔍 Search for "${query}" returned ${results.length} results` +
+      (useSemantic ? '' : ' (keyword only)') +
+      (reciprocalCategory ? ` (complementary to ${reciprocalCategory})` : '')
+  );
+  return { results, facets };
 }
 
 /**
- * Batch embed multiple intentions efficiently
- * @param {Array<Object>} intentions - Intentions to embed
- * @param {Function} progressCallback - Optional callback(done, total)
- * @returns {Promise<Array<Object>>} Intentions with embeddings
+ * Find existing intentions that look like a draft (duplicate check before posting)
+ * Compares the draft's embedding with stored embeddings from the active model; with
+ * useSemantic=false (model not loaded) falls back to title/description term overlap.
+ * Only active, unexpired intentions are considered.
+ * @param {Object<string, *>} draft - Draft intention ({ title, description, ... })
+ * @param {Array<Object<string, *>>} intentions - Existing intentions
+ * @param {Object} [options] - Matching options
+ * @param {number} [options.threshold] - Minimum cosine similarity (default 0.75)
+ * @param {number} [options.lexicalThreshold] - Minimum term overlap (Jaccard) without embeddings (default 0.4)
+ * @param {number} [options.maxResults] - Maximum matches (default 3)
+ * @param {boolean} [options.useSemantic] - Compare embeddings (default true)
+ * @returns {Promise<Array<{intention: Object<string, *>, similarity: number}>>} Most similar first
  */
-export async function batchEmbedIntentions(intentions, progressCallback = null) {
-  const embedded = [];
+export async function findSimilarIntentions(draft, intentions, options = {}) {
+  const { threshold = 0.75, lexicalThreshold = 0.4, maxResults = 3, useSemantic = true } = options;
+  if (!draft?.title?.trim()) return [];
+
+  const now = Date.now();
+  const existing = intentions.filter(
+    (intention) =>
+      intention.intentionId !== draft.intentionId &&
+      (intention.status || 'active') === 'active' &&
+      !isExpired(intention, now)
+  );
+
+  /** @type {Array<{intention: Object<string, *>, similarity: number}>} */
+  const matches = [];
+  if (useSemantic) {
+    const model = getActiveEmbeddingModel();
+    const draftEmbedding = await generateEmbedding(getEmbeddingText(draft));
+
+    for (const intention of existing) {
+      if (!isEmbeddingCurrent(intention, model)) continue;
+      const similarity = embeddingSimilarity(draftEmbedding, intention.embedding);
+      if (similarity >= threshold) matches.push({ intention, similarity });
+    }
+  } else {
+    const draftTerms = new Set(tokenize(getEmbeddingText(draft)));
+
+    for (const intention of existing) {
+      const terms = new Set(tokenize(getEmbeddingText(intention)));
+      let shared = 0;
+      for (const term of draftTerms) if (terms.has(term)) shared++;
+      const similarity = shared / (draftTerms.size + terms.size - shared || 1);
+      if (similarity >= lexicalThreshold) matches.push({ intention, similarity });
+    }
+  }
 
-  for (let i = 0; i < intentions.length; i++) {
-    const intention = intentions[i];
+  return matches.sort((a, b) => b.similarity - a.similarity).slice(0, maxResults);
+}
 
-    // Skip if already has embedding
-    if (intention.embedding) {
-      embedded.push(intention);
-      continue;
-    }
+/**
+ * Batch embed intentions with the active model
+ * Intentions without an embedding, or with one from a different/outdated model, are
+ * (re-)embedded; this doubles as the background migration after a model change.
+ * @param {Array<Object<string, *>>} intentions - Intentions to embed
+ * @param {((done: number, total: number) => void)|null} [progressCallback] - Optional callback(done, total)
+ * @param {Object} [options] - Batch options
+ * @param {AbortSignal|null} [options.signal] - Aborts the batch (rejects with error.cancelled = true)
+ * @returns {Promise<Array<Object<string, *>>>} Intentions with current embeddings
+ */
+export async function batchEmbedIntentions(intentions, progressCallback = null, options = {}) {
+  const { signal = null } = options;
+  const model = getActiveEmbeddingModel();
+
+  // Skip intentions that already have an embedding from the active model
+  const pending = intentions
+    .map((intention, i) => ({ intention, i }))
+    .filter(({ intention }) => !isEmbeddingCurrent(intention, model));
 
-    // Generate embedding
-    const withEmbedding = await embedIntention(intention);
-    embedded.push(withEmbedding);
+  if (pending.length === 0) return intentions;
+
+  const stale = pending.filter(({ intention }) => intention.embedding).length;
+  if (stale > 0) {
+    console.log(`🔁 Re-embedding ${stale} intentions from other models with ${model.id}`);
+  }
 
-    // Progress callback
-    if (progressCallback) {
-      progressCallback(i + 1, intentions.length);
+  const alreadyEmbedded = intentions.length - pending.length;
+  const texts = pending.map(({ intention }) => getEmbeddingText(intention));
+  const onProgress =
+    progressCallback &&
+    ((/** @type {number} */ done) => progressCallback(alreadyEmbedded + done, intentions.length));
+
+  let embeddings;
+  if (model.embed) {
+    embeddings = [];
+    for (const text of texts) {
+      if (signal?.aborted) {
+        throw Object.assign(new Error('Batch embedding cancelled'), { cancelled: true });
+      }
+      embeddings.push(Array.from(await model.embed(text)));
+      onProgress?.(embeddings.length);
+    }
+  } else {
+    const { id, promise } = embeddingWorker.request(
+      'batch-embed',
+      { texts, modelName: model.modelName },
+      { onProgress }
+    );
+
+    const onAbort = () => embeddingWorker.request('cancel', { targetId: id });
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      embeddings = await promise;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
     }
   }
 
+  const embeddedAt = Date.now();
+  const embedded = [...intentions];
+  pending.forEach(({ intention, i }, j) => {
+    embedded[i] = {
+      ...intention,
+      embedding: encodeEmbedding(embeddings[j], embeddingStorageFormat),
+      embeddingModel: model.id,
+      embeddingDim: model.dimension,
+      embeddedAt
+    };
+  });
+
   return embedded;
 }
 
@@ -0,0 +1,372 @@
+/**
+ * Label Suggestions - zero-shot category and tag suggestions for new intentions
+ * Each category and tag gets a centroid of the embeddings of existing intentions carrying it
+ * (categories also start from a short prototype sentence, so they work on an empty database).
+ * A draft is suggested the labels whose centroids are nearest to its embedding.
+ * Accepted suggestions are remembered in localStorage and pull their centroid towards the draft.
+ */
+
+import { generateEmbedding } from './intention-search-engine.js';
+import {
+  getActiveEmbeddingModel,
+  isEmbeddingCurrent,
+} from './embedding-models.js';
+import { decodeEmbedding } from './embedding-codec.js';
+import { tokenize } from './lexical-index.js';
+import { detectQueryIntent } from './reciprocity.js';
+import { dot, normalize } from './vector-math.js';
+
+/**
+ * @typedef {Object} LabelSuggestion
+ * @property {string} label - Category or tag
+ * @property {number} score - Similarity or keyword score
+ */
+
+/**
+ * @typedef {Object} LabelSuggestions
+ * @property {LabelSuggestion|null} category - Suggested category
+ * @property {LabelSuggestion[]} tags - Suggested tags, best first
+ */
+
+// label -> sum of accepted draft unit vectors
+/** @typedef {Object<string, {sum: number[], count: number}>} AcceptedVectors */
+
+/**
+ * @typedef {Object} LabelFeedback
+ * @property {{category: Object<string, number>, tag: Object<string, number>}} counts - Accepted suggestions per label
+ * @property {Object<string, {category: AcceptedVectors, tag: AcceptedVectors}>} vectors - Per model id
+ */
+
+/**
+ * @typedef {Object} Centroids
+ * @property {Map<string, {vector: Float32Array, count: number}>} category - Category centroids
+ * @property {Map<string, {vector: Float32Array, count: number}>} tag - Tag centroids
+ */
+
+const FEEDBACK_STORAGE_KEY = 'label-suggestion-feedback';
+
+/** @type {Array<'category'|'tag'>} */
+const LABEL_KINDS = ['category', 'tag'];
+
+// Zero-shot seeds for the categories ('general' is the fallback, never suggested)
+/** @type {Object<string, string>} */
+const CATEGORY_PROTOTYPES = {
+  request: 'I need help with something. Looking for someone who can help me.',
+  offer:
+    'I can help. Offering my time, skills or things I have to anyone who needs them.',
+  collective:
+    'We want to start a group together. A community project, join us and organize.',
+};
+
+// Centroid weights: one existing intention counts 1
+const PROTOTYPE_WEIGHT = 2;
+const ACCEPTED_WEIGHT = 2;
+
+// Below these cosine similarities nothing is suggested
+const MIN_CATEGORY_SIMILARITY = 0.25;
+const MIN_TAG_SIMILARITY = 0.35;
+
+// Centroids per intentions array, rebuilt when the model or the feedback changes
+/** @type {WeakMap<Array<Object<string, *>>, {modelId: string, feedbackVersion: number, centroids: Centroids}>} */
+const centroidCache = new WeakMap();
+/** @type {Map<string, Object<string, Float32Array>>} */
+const prototypeVectors = new Map(); // model id -> { category: unit vector }
+let feedbackVersion = 0;
+
+// Embedding of the draft last suggested for (reused when a suggestion is accepted)
+/** @type {{text: string|null, vector: Float32Array|null}} */
+let lastDraft = { text: null, vector: null };
+
+/**
+ * Read accepted-suggestion feedback from localStorage
+ * @returns {LabelFeedback} Accepted counts and vectors
+ */
+function loadFeedback() {
+  /** @type {LabelFeedback} */
+  const empty = { counts: { category: {}, tag: {} }, vectors: {} };
+  if (typeof localStorage === 'undefined') return empty;
+
+  try {
+    return (
+      JSON.parse(localStorage.getItem(FEEDBACK_STORAGE_KEY) || 'null') || empty
+    );
+  } catch (error) {
+    console.warn('⚠️ Ignoring unreadable label feedback:', error);
+    return empty;
+  }
+}
+
+/**
+ * Write accepted-suggestion feedback to localStorage
+ * @param {LabelFeedback} feedback - Feedback to store
+ */
+function saveFeedback(feedback) {
+  if (typeof localStorage === 'undefined') return;
+
+  try {
+    localStorage.setItem(FEEDBACK_STORAGE_KEY, JSON.stringify(feedback));
+  } catch (error) {
+    console.warn('⚠️ Failed to store label feedback:', error);
+  }
+}
+
+/**
+ * Text of a draft as embedded for suggestions
+ * @param {Object<string, *>} draft - { title, description }
+ * @returns {string}
+ */
+function getDraftText(draft) {
+  return `${draft.title || ''} ${draft.description || ''}`.trim();
+}
+
+/**
+ * Embed the category prototypes once per model
+ * @param {import('./embedding-models.js').EmbeddingModel} model - Active embedding model
+ * @returns {Promise<Object<string, Float32Array>>} category -> unit vector
+ */
+async function getPrototypeVectors(model) {
+  let vectors = prototypeVectors.get(model.id);
+  if (!vectors) {
+    vectors = {};
+    for (const [category, text] of Object.entries(CATEGORY_PROTOTYPES)) {
+      vectors[category] = normalize(await generateEmbedding(text));
+    }
+    prototypeVectors.set(model.id, vectors);
+  }
+  return vectors;
+}
+
+/**
+ * Weighted sum of unit vectors per label
+ * @param {Map<string, {sum: Float32Array, count: number}>} sums - label -> { sum, count }
+ * @param {string} label - Label
+ * @param {ArrayLike<number>} vector - Unit vector (or an already weighted sum)
+ * @param {number} [weight] - Weight of the vector
+ * @param {number} [count] - Number of examples it stands for
+ */
+function addToCentroid(sums, label, vector, weight = 1, count = 1) {
+  let entry = sums.get(label);
+  if (!entry) {
+    entry = { sum: new Float32Array(vector.length), count: 0 };
+    sums.set(label, entry);
+  }
+  if (entry.sum.length !== vector.length) return;
+  for (let i = 0; i < vector.length; i++) entry.sum[i] += vector[i] * weight;
+  entry.count += count;
+}
+
+/**
+ * Build category and tag centroids from intentions embedded with the active model
+ * @param {Array<Object<string, *>>} intentions - Existing intentions
+ * @param {import('./embedding-models.js').EmbeddingModel} model - Active embedding model
+ * @returns {Promise<Centroids>} label -> { vector, count } per kind
+ */
+async function buildCentroids(intentions, model) {
+  /** @type {{category: Map<string, {sum: Float32Array, count: number}>, tag: Map<string, {sum: Float32Array, count: number}>}} */
+  const sums = { category: new Map(), tag: new Map() };
+
+  const prototypes = await getPrototypeVectors(model);
+  for (const [category, vector] of Object.entries(prototypes)) {
+    addToCentroid(sums.category, category, vector, PROTOTYPE_WEIGHT, 0);
+  }
+
+  for (const intention of intentions) {
+    if (!isEmbeddingCurrent(intention, model)) continue;
+    const vector = normalize(decodeEmbedding(intention.embedding));
+
+    if (intention.category && intention.category !== 'general') {
+      addToCentroid(sums.category, intention.category, vector);
+    }
+    /** @type {string[]} */
+    const tags = intention.tags || [];
+    for (const tag of new Set(tags.map((t) => t.toLowerCase()))) {
+      addToCentroid(sums.tag, tag, vector);
+    }
+  }
+
+  // Accepted suggestions: stored as sums of draft unit vectors
+  const accepted = loadFeedback().vectors[model.id] || {};
+  for (const kind of LABEL_KINDS) {
+    for (const [label, { sum, count }] of Object.entries(
+      accepted[kind] || {}
+    )) {
+      addToCentroid(sums[kind], label, sum, ACCEPTED_WEIGHT, count);
+    }
+  }
+
+  const centroids = /** @type {Centroids} */ ({});
+  for (const kind of LABEL_KINDS) {
+    centroids[kind] = new Map(
+      [...sums[kind]].map(([label, { sum, count }]) => [
+        label,
+        { vector: normalize(sum), count },
+      ])
+    );
+  }
+  return centroids;
+}
+
+/**
+ * Centroids for an intentions array, cached until the model or the feedback changes
+ * @param {Array<Object<string, *>>} intentions - Existing intentions
+ * @param {import('./embedding-models.js').EmbeddingModel} model - Active embedding model
+ * @returns {Promise<Centroids>} Category and tag centroids
+ */
+async function getCentroids(intentions, model) {
+  const cached = centroidCache.get(intentions);
+  if (
+    cached &&
+    cached.modelId === model.id &&
+    cached.feedbackVersion === feedbackVersion
+  ) {
+    return cached.centroids;
+  }
+
+  const centroids = await buildCentroids(intentions, model);
+  centroidCache.set(intentions, {
+    modelId: model.id,
+    feedbackVersion,
+    centroids,
+  });
+  return centroids;
+}
+
+/**
+ * Keyword fallback: known tags whose words all appear in the draft
+ * @param {string} text - Draft text
+ * @param {Array<Object<string, *>>} intentions - Existing intentions
+ * @param {Object<string, number>} counts - Accepted counts per tag
+ * @returns {LabelSuggestion[]} Tag suggestions
+ */
+function suggestTagsLexically(text, intentions, counts) {
+  const draftTerms = new Set(tokenize(text));
+  /** @type {Map<string, number>} */
+  const usage = new Map();
+  for (const intention of intentions) {
+    for (const tag of intention.tags || []) {
+      usage.set(tag.toLowerCase(), (usage.get(tag.toLowerCase()) || 0) + 1);
+    }
+  }
+  for (const [tag, count] of Object.entries(counts)) {
+    usage.set(tag, (usage.get(tag) || 0) + count);
+  }
+
+  /** @type {LabelSuggestion[]} */
+  const suggestions = [];
+  for (const [tag, count] of usage) {
+    const tagTerms = tokenize(tag.replace(/[-_]/g, ' '));
+    if (tagTerms.length > 0 && tagTerms.every((term) => draftTerms.has(term))) {
+      suggestions.push({
+        label: tag,
+        score: Math.min(1, 0.5 + 0.1 * Math.log2(1 + count)),
+      });
+    }
+  }
+  return suggestions;
+}
+
+/**
+ * Suggest a category and tags for a draft intention
+ * @param {Object<string, *>} draft - { title, description, category, tags }
+ * @param {Array<Object<string, *>>} intentions - Existing intentions (centroid source)
+ * @param {Object} [options] - Suggestion options
+ * @param {boolean} [options.useSemantic] - Use embeddings (default true; false = phrasing and keywords only)
+ * @param {number} [options.maxTags] - Maximum tag suggestions (default 5)
+ * @returns {Promise<LabelSuggestions>} Suggested category and tags
+ */
+export async function suggestLabels(draft, intentions, options = {}) {
+  const { useSemantic = true, maxTags = 5 } = options;
+  const text = getDraftText(draft);
+  if (tokenize(text).length === 0) return { category: null, tags: [] };
+
+  const feedback = loadFeedback();
+  /** @type {string[]} */
+  const draftTags = draft.tags || [];
+  const existingTags = new Set(draftTags.map((tag) => tag.toLowerCase()));
+  /** @type {LabelSuggestion|null} */
+  let category = null;
+  /** @type {LabelSuggestion[]} */
+  let tags = [];
+
+  if (useSemantic) {
+    const model = getActiveEmbeddingModel();
+    const vector = normalize(await generateEmbedding(text));
+    lastDraft = { text, vector };
+    const centroids = await getCentroids(intentions, model);
+
+    for (const [label, centroid] of centroids.category) {
+      const score = dot(vector, centroid.vector);
+      if (
+        score >= MIN_CATEGORY_SIMILARITY &&
+        (!category || score > category.score)
+      ) {
+        category = { label, score };
+      }
+    }
+
+    tags = [...centroids.tag]
+      .map(([label, centroid]) => ({
+        label,
+        score: dot(vector, centroid.vector),
+      }))
+      .filter((tag) => tag.score >= MIN_TAG_SIMILARITY);
+  } else {
+    const phrased = detectQueryIntent(text);
+    category = phrased ? { label: phrased, score: 1 } : null;
+  }
+
+  // Tags named in the draft are always worth offering
+  for (const lexical of suggestTagsLexically(
+    text,
+    intentions,
+    feedback.counts.tag
+  )) {
+    const existing = tags.find((tag) => tag.label === lexical.label);
+    if (existing) existing.score = Math.max(existing.score, lexical.score);
+    else tags.push(lexical);
+  }
+
+  return {
+    category: category && category.label !== draft.category ? category : null,
+    tags: tags
+      .filter((tag) => !existingTags.has(tag.label))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxTags),
+  };
+}
+
+/**
+ * Remember an accepted suggestion so similar drafts get it again
+ * @param {Object<string, *>} draft - Draft the suggestion was made for
+ * @param {'category'|'tag'} kind - Label kind
+ * @param {string} label - Accepted category or tag
+ */
+export function recordAcceptedSuggestion(draft, kind, label) {
+  const feedback = loadFeedback();
+  feedback.counts[kind][label] = (feedback.counts[kind][label] || 0) + 1;
+
+  // The draft's vector joins the label's centroid (rounded to keep localStorage small)
+  const { vector } = lastDraft;
+  if (vector && lastDraft.text === getDraftText(draft)) {
+    const modelId = getActiveEmbeddingModel().id;
+    if (!feedback.vectors[modelId])
+      feedback.vectors[modelId] = { category: {}, tag: {} };
+    const byKind = feedback.vectors[modelId];
+    if (!byKind[kind][label]) {
+      byKind[kind][label] = {
+        sum: new Array(vector.length).fill(0),
+        count: 0,
+      };
+    }
+    const entry = byKind[kind][label];
+    if (entry.sum.length === vector.length) {
+      entry.sum = entry.sum.map(
+        (value, i) => Math.round((value + vector[i]) * 1e4) / 1e4
+      );
+      entry.count += 1;
+    }
+  }
+
+  saveFeedback(feedback);
+  feedbackVersion++;
+}
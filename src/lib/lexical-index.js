@@ -0,0 +1,168 @@
+/**
+ * Lexical Index - BM25 inverted index over intention text fields
+ * Complements vector search with exact term matching (street names, "carpool", ...)
+ */
+
+// BM25 tuning constants (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Field weights: a term in the title or tags counts more than one in the description
+/** @type {Record<string, number>} */
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  keywords: 2,
+  description: 1,
+};
+
+// prettier-ignore
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'for', 'from',
+  'have', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'need', 'of',
+  'on', 'or', 'our', 'so', 'some', 'that', 'the', 'their', 'there', 'this', 'to',
+  'us', 'want', 'was', 'we', 'were', 'will', 'with', 'you', 'your', 'looking'
+]);
+
+/**
+ * @typedef {Object} LexicalIndex
+ * @property {Map<string, Map<number, number>>} postings - term -> (docIndex -> weighted tf)
+ * @property {number[]} docLengths - Weighted length of each document
+ * @property {number} avgDocLength - Mean document length
+ * @property {number} size - Number of documents
+ */
+
+// Index cache keyed by the intentions array (Svelte reassigns the array on change)
+/** @type {WeakMap<Array<Object<string, *>>, LexicalIndex>} */
+const indexCache = new WeakMap();
+
+/**
+ * Reduce a token to a crude stem so "carpools" matches "carpool"
+ * @param {string} token - Lowercase token
+ * @returns {string} Stemmed token
+ */
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies'))
+    return token.slice(0, -3) + 'y';
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+/**
+ * Split text into normalized search terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms (lowercased, stemmed, stopwords removed)
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token))
+    .map(stem);
+}
+
+/**
+ * Collect weighted term frequencies for a single intention
+ * @param {Object<string, *>} intention - Intention object
+ * @returns {Map<string, number>} term -> weighted frequency
+ */
+function weightedTerms(intention) {
+  const fields = {
+    title: intention.title,
+    description: intention.description,
+    tags: Array.isArray(intention.tags) ? intention.tags.join(' ') : '',
+    keywords: Array.isArray(intention.keywords)
+      ? intention.keywords.join(' ')
+      : '',
+  };
+
+  const terms = new Map();
+  for (const [field, text] of Object.entries(fields)) {
+    for (const term of tokenize(text)) {
+      terms.set(term, (terms.get(term) || 0) + FIELD_WEIGHTS[field]);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Build a BM25 inverted index over title, description, tags and keywords
+ * @param {Array<Object<string, *>>} intentions - Intentions to index
+ * @returns {LexicalIndex} Index { postings, docLengths, avgDocLength, size }
+ */
+export function buildLexicalIndex(intentions) {
+  /** @type {Map<string, Map<number, number>>} */
+  const postings = new Map(); // term -> Map<docIndex, weighted tf>
+  const docLengths = new Array(intentions.length);
+  let totalLength = 0;
+
+  intentions.forEach((intention, docIndex) => {
+    const terms = weightedTerms(intention);
+    let length = 0;
+
+    for (const [term, tf] of terms) {
+      length += tf;
+      let posting = postings.get(term);
+      if (!posting) postings.set(term, (posting = new Map()));
+      posting.set(docIndex, tf);
+    }
+
+    docLengths[docIndex] = length;
+    totalLength += length;
+  });
+
+  return {
+    postings,
+    docLengths,
+    avgDocLength: intentions.length > 0 ? totalLength / intentions.length : 0,
+    size: intentions.length,
+  };
+}
+
+/**
+ * Get the (cached) lexical index for an intentions array
+ * @param {Array<Object<string, *>>} intentions - Intentions to index
+ * @returns {LexicalIndex} Lexical index
+ */
+export function getLexicalIndex(intentions) {
+  let index = indexCache.get(intentions);
+  if (!index) {
+    index = buildLexicalIndex(intentions);
+    indexCache.set(intentions, index);
+  }
+  return index;
+}
+
+/**
+ * Score every document matching at least one query term with BM25
+ * @param {LexicalIndex} index - Index from buildLexicalIndex
+ * @param {string} query - Query text
+ * @returns {Map<number, number>} docIndex -> BM25 score (only docs with score > 0)
+ */
+export function scoreBM25(index, query) {
+  const scores = new Map();
+  const queryTerms = [...new Set(tokenize(query))];
+
+  for (const term of queryTerms) {
+    const posting = index.postings.get(term);
+    if (!posting) continue;
+
+    // Probabilistic IDF, floored so very common terms never go negative
+    const df = posting.size;
+    const idf = Math.log(1 + (index.size - df + 0.5) / (df + 0.5));
+
+    for (const [docIndex, tf] of posting) {
+      const lengthNorm =
+        1 - BM25_B + BM25_B * (index.docLengths[docIndex] / index.avgDocLength);
+      const termScore =
+        (idf * tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm);
+      scores.set(docIndex, (scores.get(docIndex) || 0) + termScore);
+    }
+  }
+
+  return scores;
+}
@@ -3,6 +3,8 @@
  * Based on PRACTICAL_INTENTIONS_GUIDE.md principles
  */
 
+import { migrateIntention } from './intention-schema.js';
+
 export const mockIntentions = [
   {
     intentionId: 'int_001',
@@ -146,12 +148,15 @@ export const mockIntentions = [
   }
 ];
 
+// Shaped like documents read from OrbitDB (current schema version)
+const migratedMockIntentions = mockIntentions.map(migrateIntention);
+
 /**
  * Get mock intentions for testing (without requiring database)
  * @returns {Array} Array of mock intention objects
  */
 export function getMockIntentions() {
-  return mockIntentions;
+  return migratedMockIntentions;
 }
 
 /**
@@ -0,0 +1,261 @@
+/**
+ * Query Parser - inline operators for the search box
+ *
+ *   tag:moving category:offer near:oakland within:5km since:7d free furniture
+ *
+ * Operators become search filters (see search-filters.js); everything else is the
+ * free-text part that gets embedded and keyword matched.
+ *
+ * Operators:
+ *   tag:a,b           any of these tags (repeatable)
+ *   category:offer    request | offer | collective | general
+ *   status:completed  active | completed | archived
+ *   by:me             created by you (or a creator DID)
+ *   near:place        origin for within: (defaults to 10km); quote multi-word places: near:"el cerrito"
+ *   within:5km        max distance (km, mi or m; a bare number is km)
+ *   since:7d          created within the last h/d/w/mo/y, or since a date (2024-05-01)
+ *   before:2024-05-01 created before a date, or more than a duration ago
+ */
+
+import {
+  INTENTION_CATEGORIES,
+  INTENTION_STATUSES,
+} from './intention-schema.js';
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {string} text - Free text with the operators removed
+ * @property {Object<string, *>} filters - Structured filters (see search-filters.js)
+ * @property {string|null} place - Unresolved near: name; the caller turns it into filters.near coordinates
+ * @property {Array<{operator: string, message: string}>} errors - Malformed operators
+ */
+
+const OPERATOR_PATTERN = /(^|\s)([a-z]+):(?:"([^"]*)"?|(\S*))/gi;
+
+const OPERATORS = [
+  'tag',
+  'tags',
+  'category',
+  'status',
+  'by',
+  'near',
+  'within',
+  'since',
+  'before',
+];
+
+// Radius used when near: is given without within:
+const DEFAULT_NEAR_KM = 10;
+
+/** @type {Record<string, number>} */
+const DURATION_UNITS_MS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  mo: 30 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+};
+
+/** @type {Record<string, number>} */
+const DISTANCE_UNITS_KM = {
+  km: 1,
+  mi: 1.609344,
+  m: 0.001,
+};
+
+/**
+ * Split a comma-separated operator value into lowercase items
+ * @param {string} value - Raw value
+ * @returns {string[]} Items
+ */
+function splitList(value) {
+  return value
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a distance such as 5km, 3mi, 500m or 10
+ * @param {string} value - Raw value
+ * @returns {number|null} Kilometers, or null if malformed
+ */
+function parseDistance(value) {
+  const match = /^(\d+(?:\.\d+)?)(km|mi|m)?$/i.exec(value);
+  if (!match) return null;
+
+  const km =
+    parseFloat(match[1]) * DISTANCE_UNITS_KM[(match[2] || 'km').toLowerCase()];
+  return km > 0 ? km : null;
+}
+
+/**
+ * Parse a relative duration (7d, 2w, 3mo) or a date into a timestamp
+ * @param {string} value - Raw value
+ * @param {number} now - Reference time (ms)
+ * @returns {number|null} Timestamp (ms), or null if malformed
+ */
+function parseTime(value, now) {
+  const duration = /^(\d+)(h|d|w|mo|y)$/i.exec(value);
+  if (duration) {
+    return (
+      now -
+      parseInt(duration[1], 10) * DURATION_UNITS_MS[duration[2].toLowerCase()]
+    );
+  }
+
+  if (/^\d{4}-\d{2}(-\d{2})?$/.test(value)) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a search box query into free text and structured filters
+ * @param {string} input - Raw search box contents
+ * @param {Object} [options] - Parser options
+ * @param {number} [options.now] - Reference time for relative durations (default Date.now())
+ * @param {string|null} [options.userIdentity] - DID that `by:me` resolves to
+ * @returns {ParsedQuery} Free text, filters, near: place and errors
+ */
+export function parseSearchQuery(input, options = {}) {
+  const { now = Date.now(), userIdentity = null } = options;
+
+  /** @type {Object<string, *>} */
+  const filters = {};
+  /** @type {ParsedQuery['errors']} */
+  const errors = [];
+  /** @type {string|null} */
+  let place = null;
+
+  /**
+   * @param {string} operator - Operator name
+   * @param {string} message - Error message
+   */
+  const fail = (operator, message) => errors.push({ operator, message });
+  /**
+   * @param {string} key - Filter key
+   * @param {string[]} values - Values to add
+   */
+  const append = (key, values) => {
+    filters[key] = [...new Set([...(filters[key] || []), ...values])];
+  };
+
+  const text = (input || '').replace(
+    OPERATOR_PATTERN,
+    (token, lead, key, quoted, bare) => {
+      const operator = key.toLowerCase();
+
+      // Not one of ours (e.g. "note:" or a URL) - leave it in the free text
+      if (!OPERATORS.includes(operator)) return token;
+
+      const value = (quoted ?? bare ?? '').trim();
+      if (!value) {
+        fail(operator, `"${operator}:" needs a value`);
+        return lead;
+      }
+
+      switch (operator) {
+        case 'tag':
+        case 'tags':
+          append('tagsAny', splitList(value));
+          break;
+
+        case 'category': {
+          const categories = splitList(value);
+          const unknown = categories.find(
+            (c) => !INTENTION_CATEGORIES.includes(c)
+          );
+          if (unknown) {
+            fail(
+              operator,
+              `unknown category "${unknown}" (try ${INTENTION_CATEGORIES.join(', ')})`
+            );
+          } else {
+            append('category', categories);
+          }
+          break;
+        }
+
+        case 'status': {
+          const statuses = splitList(value);
+          const unknown = statuses.find((s) => !INTENTION_STATUSES.includes(s));
+          if (unknown) {
+            fail(
+              operator,
+              `unknown status "${unknown}" (try ${INTENTION_STATUSES.join(', ')})`
+            );
+          } else {
+            append('status', statuses);
+          }
+          break;
+        }
+
+        case 'by':
+          if (value.toLowerCase() === 'me') {
+            if (userIdentity) append('createdBy', [userIdentity]);
+            else fail(operator, '"by:me" needs you to be signed in');
+          } else {
+            append('createdBy', [value]);
+          }
+          break;
+
+        case 'near':
+          place = value;
+          break;
+
+        case 'within': {
+          const km = parseDistance(value);
+          if (km === null)
+            fail(
+              operator,
+              `"within:${value}" should be a distance like 5km or 3mi`
+            );
+          else filters.maxDistanceKm = km;
+          break;
+        }
+
+        case 'since':
+        case 'before': {
+          const time = parseTime(value, now);
+          if (time === null) {
+            fail(
+              operator,
+              `"${operator}:${value}" should be a duration like 7d or a date like 2024-05-01`
+            );
+          } else {
+            filters[operator === 'since' ? 'createdAfter' : 'createdBefore'] =
+              time;
+          }
+          break;
+        }
+      }
+
+      return lead;
+    }
+  );
+
+  if (place && !filters.maxDistanceKm) filters.maxDistanceKm = DEFAULT_NEAR_KM;
+
+  return {
+    text: text.replace(/\s+/g, ' ').trim(),
+    filters,
+    place,
+    errors,
+  };
+}
+
+/**
+ * Check whether a query uses any inline operators (including malformed ones)
+ * @param {ParsedQuery} parsed - Result of parseSearchQuery()
+ * @returns {boolean}
+ */
+export function hasQueryOperators(parsed) {
+  return (
+    Object.keys(parsed.filters).length > 0 ||
+    Boolean(parsed.place) ||
+    parsed.errors.length > 0
+  );
+}
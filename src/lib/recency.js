@@ -0,0 +1,93 @@
+/**
+ * Recency - time decay and expiry for intention ranking
+ * "Help moving furniture this weekend" is stale within days; a standing offer to
+ * teach guitar is not. Each category decays with its own half-life.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days until an intention's recency score halves
+/** @type {Record<string, number>} */
+export const DEFAULT_HALF_LIFE_DAYS = {
+  request: 7,
+  offer: 30,
+  collective: 60,
+  general: 30,
+};
+
+// Choices offered by the create form (days; null = no expiry)
+/** @type {Array<{label: string, days: number|null}>} */
+export const EXPIRY_OPTIONS = [
+  { label: 'no expiry', days: null },
+  { label: '1 day', days: 1 },
+  { label: '3 days', days: 3 },
+  { label: '1 week', days: 7 },
+  { label: '2 weeks', days: 14 },
+  { label: '1 month', days: 30 },
+];
+
+/**
+ * Get the half-life for an intention's category
+ * @param {string} category - Intention category
+ * @param {Record<string, number>} [halfLifeDays] - Per-category overrides, merged over the defaults
+ * @returns {number} Half-life in days
+ */
+export function getHalfLifeDays(category, halfLifeDays = {}) {
+  const halfLives = { ...DEFAULT_HALF_LIFE_DAYS, ...halfLifeDays };
+  return halfLives[category || 'general'] ?? halfLives.general;
+}
+
+/**
+ * Exponential recency score: 1 when just posted, 0.5 after one half-life
+ * @param {Object<string, *>} intention - Intention object (uses createdAt)
+ * @param {Object} [options] - Decay options
+ * @param {number} [options.now] - Reference time in ms (default Date.now())
+ * @param {Record<string, number>} [options.halfLifeDays] - Per-category half-life overrides
+ * @returns {number} Score between 0 and 1
+ */
+export function recencyScore(intention, options = {}) {
+  const { now = Date.now(), halfLifeDays = {} } = options;
+  if (!intention.createdAt) return 0;
+
+  const ageDays = Math.max(0, now - intention.createdAt) / DAY_MS;
+  return Math.pow(
+    0.5,
+    ageDays / getHalfLifeDays(intention.category, halfLifeDays)
+  );
+}
+
+/**
+ * Check whether an intention has passed its expiry
+ * @param {Object<string, *>} intention - Intention object
+ * @param {number} [now] - Reference time in ms (default Date.now())
+ * @returns {boolean}
+ */
+export function isExpired(intention, now = Date.now()) {
+  return Boolean(intention.expiresAt) && intention.expiresAt <= now;
+}
+
+/**
+ * Expiry timestamp for a number of days from now
+ * @param {number|null} days - Days until expiry (null = never)
+ * @param {number} [now] - Reference time in ms (default Date.now())
+ * @returns {number|null} Timestamp in ms
+ */
+export function expiryFromDays(days, now = Date.now()) {
+  return days ? now + days * DAY_MS : null;
+}
+
+/**
+ * Describe the time left before expiry
+ * @param {number} expiresAt - Expiry timestamp in ms
+ * @param {number} [now] - Reference time in ms (default Date.now())
+ * @returns {string} e.g. 'expires in 3d', 'expires in 5h', 'expired'
+ */
+export function formatExpiry(expiresAt, now = Date.now()) {
+  const remaining = expiresAt - now;
+  if (remaining <= 0) return 'expired';
+
+  const hours = Math.ceil(remaining / (60 * 60 * 1000));
+  return hours < 24
+    ? `expires in ${hours}h`
+    : `expires in ${Math.ceil(remaining / DAY_MS)}d`;
+}
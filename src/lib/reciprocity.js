@@ -0,0 +1,102 @@
+/**
+ * Reciprocity - request/offer complementarity for intention matching
+ * "I need help moving furniture" should surface offers that could fulfil it,
+ * not other people asking for the same thing.
+ */
+
+// Which intention categories can fulfil which
+/** @type {Record<string, string[]>} */
+const COMPLEMENTS = {
+  request: ['offer'],
+  offer: ['request'],
+};
+
+// First-person phrasings, checked in order (offers first: "I can help" is not a request)
+/** @type {Array<{category: 'request'|'offer', pattern: RegExp}>} */
+const INTENT_PATTERNS = [
+  {
+    category: 'offer',
+    pattern:
+      /\b(i|we)\s+(can|could|will|have|am offering|are offering|would like to (give|share|teach))\b|\b(offering|giving away|happy to help|free for anyone|available to)\b|\bi'?m offering\b/i,
+  },
+  {
+    category: 'request',
+    pattern:
+      /\b(i|we)\s+(need|want|am looking|are looking|am seeking|would like)\b|\b(looking for|need(s|ed)? help|help me|help us|seeking|searching for|anyone (have|who can)|wanted)\b|\bi'?m looking\b/i,
+  },
+];
+
+/**
+ * Infer whether a query reads as a request or an offer
+ * @param {string} query - Search query text
+ * @returns {'request'|'offer'|null} Detected category or null if unclear
+ */
+export function detectQueryIntent(query) {
+  if (!query) return null;
+
+  const match = INTENT_PATTERNS.find(({ pattern }) => pattern.test(query));
+  return match ? match.category : null;
+}
+
+/**
+ * Get the categories that complement a category
+ * @param {string} category - Intention category
+ * @returns {string[]} Complementary categories (empty if none)
+ */
+export function getComplementaryCategories(category) {
+  return COMPLEMENTS[category] || [];
+}
+
+/**
+ * @typedef {Object} ReciprocityMatch
+ * @property {'complementary'|'similar'} type - How the result relates to the query
+ * @property {string|null} queryCategory - Category of the query
+ * @property {string} reason - Human-readable explanation
+ */
+
+/**
+ * Explain how a result relates to the query's category
+ * @param {string|null} queryCategory - Category of the query ('request', 'offer', ...)
+ * @param {string} resultCategory - Category of the matched intention
+ * @returns {ReciprocityMatch} { type: 'complementary'|'similar', queryCategory, reason }
+ */
+export function classifyMatch(queryCategory, resultCategory) {
+  if (
+    queryCategory &&
+    getComplementaryCategories(queryCategory).includes(resultCategory)
+  ) {
+    return {
+      type: 'complementary',
+      queryCategory,
+      reason:
+        resultCategory === 'offer'
+          ? 'offer that could fulfil your request'
+          : 'request you could help with',
+    };
+  }
+
+  return {
+    type: 'similar',
+    queryCategory,
+    reason:
+      queryCategory && resultCategory === queryCategory
+        ? `another ${resultCategory} like yours`
+        : 'similar intention',
+  };
+}
+
+/**
+ * Adjust a 0-1 score for reciprocity
+ * Complementary matches move toward 1, same-category matches are damped.
+ * @param {number} score - Combined score
+ * @param {ReciprocityMatch} match - Result of classifyMatch
+ * @param {string} resultCategory - Category of the matched intention
+ * @param {number} boost - Share of the remaining headroom granted to complementary matches
+ * @returns {number} Adjusted score (0-1)
+ */
+export function applyReciprocity(score, match, resultCategory, boost) {
+  if (!match.queryCategory) return score;
+  if (match.type === 'complementary') return score + boost * (1 - score);
+  if (resultCategory === match.queryCategory) return score * (1 - boost);
+  return score;
+}
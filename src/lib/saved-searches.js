@@ -0,0 +1,206 @@
+/**
+ * Saved Searches - standing queries scored against incoming intentions
+ * Each intention written to the shared database (OrbitDB `update` event) is scored
+ * against the user's saved searches; hits above the search's threshold become inbox alerts.
+ * Persistence lives in database.js (per identity, IndexedDB).
+ */
+
+import {
+  generateEmbedding,
+  embedIntention,
+} from './intention-search-engine.js';
+import {
+  getActiveEmbeddingModel,
+  isEmbeddingCurrent,
+} from './embedding-models.js';
+import { embeddingSimilarity } from './embedding-codec.js';
+import { tokenize } from './lexical-index.js';
+import { matchesFilters } from './search-filters.js';
+import { isExpired } from './recency.js';
+
+/**
+ * @typedef {Object} SavedSearch
+ * @property {string} id - Search id
+ * @property {string} identity - Owner DID
+ * @property {string} name - Display name
+ * @property {string} query - Free-text part of the query (may be empty)
+ * @property {Object<string, *>} filters - Structured filters (see search-filters.js)
+ * @property {number} threshold - Alert threshold
+ * @property {number} createdAt - Creation time (ms)
+ */
+
+/**
+ * @typedef {Object} SearchAlert
+ * @property {string} id - `${searchId}:${intentionId}`
+ * @property {string} identity - Owner DID
+ * @property {string} searchId - Matched saved search
+ * @property {string} searchName - Its display name
+ * @property {string} intentionId - Matching intention
+ * @property {string} title - Intention title
+ * @property {string} location - Intention location
+ * @property {number} score - Match score
+ * @property {number} receivedAt - Alert time (ms)
+ * @property {boolean} read - Opened or marked read
+ */
+
+// Minimum match score for an alert (cosine similarity or query term coverage)
+export const DEFAULT_ALERT_THRESHOLD = 0.5;
+
+// Query embeddings per model and query text
+/** @type {Map<string, number[]>} */
+const queryEmbeddingCache = new Map();
+
+/**
+ * Create a saved search
+ * @param {Object} params - Saved search fields
+ * @param {string} params.identity - Owner DID
+ * @param {string} params.query - Free-text part of the query (may be empty)
+ * @param {Object<string, *>} [params.filters] - Structured filters (see search-filters.js)
+ * @param {string} [params.name] - Display name (default: the query)
+ * @param {number} [params.threshold] - Alert threshold (default 0.5)
+ * @returns {SavedSearch} Saved search
+ */
+export function createSavedSearch({
+  identity,
+  query,
+  filters = {},
+  name,
+  threshold,
+}) {
+  return {
+    id: `search_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    identity,
+    name: name || query || 'untitled search',
+    query: query || '',
+    filters,
+    threshold: threshold ?? DEFAULT_ALERT_THRESHOLD,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * Share of the query's terms that appear in the intention
+ * @param {Array<string>} queryTerms - Tokenized query
+ * @param {Object<string, *>} intention - Intention object
+ * @returns {number} Coverage between 0 and 1
+ */
+function termCoverage(queryTerms, intention) {
+  if (queryTerms.length === 0) return 0;
+
+  const terms = new Set(
+    tokenize(
+      `${intention.title || ''} ${intention.description || ''} ${(intention.tags || []).join(' ')}`
+    )
+  );
+  return (
+    queryTerms.filter((term) => terms.has(term)).length / queryTerms.length
+  );
+}
+
+/**
+ * Embed a saved query once per model
+ * @param {string} query - Query text
+ * @param {import('./embedding-models.js').EmbeddingModel} model - Active embedding model
+ * @returns {Promise<number[]>} Query embedding
+ */
+async function getQueryEmbedding(query, model) {
+  const key = `${model.id}\u0000${query}`;
+  let embedding = queryEmbeddingCache.get(key);
+  if (!embedding) {
+    embedding = await generateEmbedding(query);
+    queryEmbeddingCache.set(key, embedding);
+  }
+  return embedding;
+}
+
+/**
+ * Score one intention against one saved search
+ * @param {Object<string, *>} intention - Incoming intention
+ * @param {SavedSearch} search - Saved search
+ * @param {Object} context - Scoring context
+ * @param {[number, number]|null} context.userLocation - Fallback origin for distance filters
+ * @param {() => Promise<*>} context.getEmbedding - Stored embedding of the intention (null = keyword only)
+ * @returns {Promise<number|null>} Score, or null if the filters exclude the intention
+ */
+async function scoreSavedSearch(intention, search, context) {
+  const { userLocation, getEmbedding } = context;
+  if (!matchesFilters(intention, search.filters, userLocation)) return null;
+
+  // Filter-only searches ("tag:moving within:5km") match everything that passes
+  if (!search.query.trim()) return 1;
+
+  const coverage = termCoverage(tokenize(search.query), intention);
+  const embedding = await getEmbedding();
+  if (!embedding) return coverage;
+
+  const model = getActiveEmbeddingModel();
+  const queryEmbedding = await getQueryEmbedding(search.query, model);
+  return Math.max(coverage, embeddingSimilarity(queryEmbedding, embedding));
+}
+
+/**
+ * Score an incoming intention against every saved search
+ * @param {Object<string, *>} intention - Intention from a database update
+ * @param {SavedSearch[]} searches - Saved searches
+ * @param {Object} [options] - Matching options
+ * @param {string|null} [options.identity] - Current identity (own intentions never alert)
+ * @param {[number, number]|null} [options.userLocation] - Fallback origin for distance filters
+ * @param {boolean} [options.useSemantic] - Compare embeddings (default true)
+ * @returns {Promise<Array<{search: SavedSearch, score: number}>>} Searches the intention matched
+ */
+export async function matchSavedSearches(intention, searches, options = {}) {
+  const { identity = null, userLocation = null, useSemantic = true } = options;
+
+  if (searches.length === 0 || !intention?.intentionId) return [];
+  if (identity && intention.createdBy === identity) return [];
+  if ((intention.status || 'active') !== 'active' || isExpired(intention))
+    return [];
+
+  // Embed the intention at most once, and only if a search needs it
+  /** @type {Promise<*>|null} */
+  let embeddingPromise = null;
+  const getEmbedding = () => {
+    if (!useSemantic) return Promise.resolve(null);
+    if (!embeddingPromise) {
+      embeddingPromise = isEmbeddingCurrent(intention)
+        ? Promise.resolve(intention.embedding)
+        : embedIntention(intention).then((embedded) => embedded.embedding);
+    }
+    return embeddingPromise;
+  };
+
+  /** @type {Array<{search: SavedSearch, score: number}>} */
+  const matches = [];
+  for (const search of searches) {
+    const score = await scoreSavedSearch(intention, search, {
+      userLocation,
+      getEmbedding,
+    });
+    if (score !== null && score >= search.threshold)
+      matches.push({ search, score });
+  }
+  return matches;
+}
+
+/**
+ * Build an inbox alert for a saved-search hit
+ * One alert per search and intention: later updates of the same intention reuse the id.
+ * @param {SavedSearch} search - Matched saved search
+ * @param {Object<string, *>} intention - Matching intention
+ * @param {number} score - Match score
+ * @returns {SearchAlert} Alert
+ */
+export function createSearchAlert(search, intention, score) {
+  return {
+    id: `${search.id}:${intention.intentionId}`,
+    identity: search.identity,
+    searchId: search.id,
+    searchName: search.name,
+    intentionId: intention.intentionId,
+    title: intention.title,
+    location: intention.location || '',
+    score,
+    receivedAt: Date.now(),
+    read: false,
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * Search Filters - structured filters and facet counts for searchIntentions
+ *
+ * Filter shape (every field optional):
+ *   status        string | string[]   e.g. 'active' or ['active', 'completed']
+ *   category      string | string[]
+ *   tagsAny       string[]            at least one of these tags (tags match in any case)
+ *   tagsAll       string[]            every one of these tags
+ *   createdBy     string | string[]   creator DID(s)
+ *   createdAfter  number              ms timestamp (inclusive)
+ *   createdBefore number              ms timestamp (exclusive)
+ *   maxDistanceKm number              distance from `near` (or the user's location)
+ *   near          [number, number]    [lat, lon] origin for maxDistanceKm
+ *   intentionIds  string[]            only these intentions (e.g. a topic cluster)
+ *   topic         string              display label for intentionIds (not matched on)
+ */
+
+import { geoDistance } from './geo.js';
+
+/**
+ * @typedef {Object} SearchFacets
+ * @property {number} total - Number of counted intentions
+ * @property {Object<string, number>} status - Status -> count
+ * @property {Object<string, number>} category - Category -> count
+ * @property {Object<string, number>} tags - Lowercased tag -> count (top values only)
+ * @property {Object<string, number>} createdBy - Creator DID -> count (top values only)
+ */
+
+// Completed and archived intentions are hidden unless asked for
+/** @type {Object<string, *>} */
+export const DEFAULT_SEARCH_FILTERS = { status: ['active'] };
+
+// Number of tag / creator facet values to report
+const MAX_FACET_VALUES = 20;
+
+/**
+ * Normalize a single value or list to a list (empty for null/undefined)
+ * @param {*} value - Value or array
+ * @returns {Array<*>} Values
+ */
+function toList(value) {
+  if (value === null || value === undefined || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * An intention's tags, lowercased (tags are stored as typed)
+ * @param {Object<string, *>} intention - Intention object
+ * @returns {Array<string>} Tags
+ */
+function tagsOf(intention) {
+  return Array.isArray(intention.tags)
+    ? intention.tags.map((tag) => String(tag).toLowerCase())
+    : [];
+}
+
+/**
+ * Check whether any filter is set
+ * @param {Object<string, *>} filters - Search filters
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return Object.entries(filters || {}).some(([key, value]) =>
+    key === 'near' ? false : toList(value).length > 0
+  );
+}
+
+/**
+ * Test a single intention against the filters
+ * @param {Object<string, *>} intention - Intention object
+ * @param {Object<string, *>} filters - Search filters
+ * @param {[number, number]|null} [userLocation] - Fallback origin for maxDistanceKm
+ * @returns {boolean} True if the intention passes every filter
+ */
+export function matchesFilters(intention, filters = {}, userLocation = null) {
+  const statuses = toList(filters.status);
+  if (statuses.length > 0 && !statuses.includes(intention.status || 'active'))
+    return false;
+
+  const categories = toList(filters.category);
+  if (
+    categories.length > 0 &&
+    !categories.includes(intention.category || 'general')
+  ) {
+    return false;
+  }
+
+  const tags = tagsOf(intention);
+  const tagsAny = toList(filters.tagsAny);
+  if (
+    tagsAny.length > 0 &&
+    !tagsAny.some((tag) => tags.includes(String(tag).toLowerCase()))
+  )
+    return false;
+
+  const tagsAll = toList(filters.tagsAll);
+  if (
+    tagsAll.length > 0 &&
+    !tagsAll.every((tag) => tags.includes(String(tag).toLowerCase()))
+  )
+    return false;
+
+  const ids = toList(filters.intentionIds);
+  if (ids.length > 0 && !ids.includes(intention.intentionId)) return false;
+
+  const creators = toList(filters.createdBy);
+  if (creators.length > 0 && !creators.includes(intention.createdBy))
+    return false;
+
+  if (filters.createdAfter && !(intention.createdAt >= filters.createdAfter))
+    return false;
+  if (filters.createdBefore && !(intention.createdAt < filters.createdBefore))
+    return false;
+
+  if (filters.maxDistanceKm) {
+    const origin = filters.near || userLocation;
+    if (origin && geoDistance(origin, intention.geo) > filters.maxDistanceKm)
+      return false;
+  }
+
+  return true;
+}
+
+/**
+ * Count occurrences into a sorted { value: count } object
+ * @param {Array<string>} values - Values to count
+ * @param {number} [limit] - Maximum number of values to keep
+ * @returns {Object<string, number>} value -> count, most frequent first
+ */
+function countValues(values, limit = Infinity) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+
+  return Object.fromEntries(
+    [...counts]
+      .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(b[0]))
+      .slice(0, limit)
+  );
+}
+
+/**
+ * Compute facet counts for a result set (for filter chips)
+ * @param {Array<Object<string, *>>} intentions - Matched intentions (before structured filtering)
+ * @returns {SearchFacets} Facet counts
+ */
+export function computeFacets(intentions) {
+  return {
+    total: intentions.length,
+    status: countValues(intentions.map((i) => i.status || 'active')),
+    category: countValues(intentions.map((i) => i.category || 'general')),
+    tags: countValues(intentions.flatMap(tagsOf), MAX_FACET_VALUES),
+    createdBy: countValues(
+      intentions.map((i) => i.createdBy).filter(Boolean),
+      MAX_FACET_VALUES
+    ),
+  };
+}
+
+/**
+ * Toggle a value in a list-valued filter (used by filter chips)
+ * @param {Object<string, *>} filters - Current filters
+ * @param {string} key - Filter key ('status', 'category', 'tagsAny', ...)
+ * @param {string} value - Value to toggle
+ * @returns {Object<string, *>} New filters object
+ */
+export function toggleFilterValue(filters, key, value) {
+  const current = toList(filters[key]);
+  const next = current.includes(value)
+    ? current.filter((v) => v !== value)
+    : [...current, value];
+
+  return { ...filters, [key]: next };
+}
@@ -0,0 +1,325 @@
+/**
+ * Search History - persisted per-identity history, database-driven suggestions and autocomplete
+ * Feeds the roller wheel on the search screen: recent queries above the input, suggestions
+ * (frequent tags, popular titles, past queries that found something) below it, and prefix
+ * completions while typing.
+ */
+
+import {
+  INTENTION_CATEGORIES,
+  INTENTION_STATUSES,
+} from './intention-schema.js';
+import { isExpired } from './recency.js';
+
+/**
+ * @typedef {Object} SearchHistoryEntry
+ * @property {string} query - Normalized query
+ * @property {number} count - Times it was searched
+ * @property {number} resultCount - Results of the last search
+ * @property {number} lastUsedAt - Last search time (ms)
+ */
+
+/**
+ * @typedef {Object} SearchVocabulary
+ * @property {Array<{tag: string, count: number}>} tags - Tags by frequency
+ * @property {string[]} titles - Titles by popularity
+ */
+
+const HISTORY_STORAGE_PREFIX = 'search-history:';
+const MAX_HISTORY_ENTRIES = 50;
+
+// Vocabulary per intentions array (tags by frequency, titles by popularity)
+/** @type {WeakMap<Array<Object<string, *>>, SearchVocabulary>} */
+const vocabularyCache = new WeakMap();
+
+/**
+ * localStorage key of an identity's history
+ * @param {string|null} identity - Identity DID
+ * @returns {string}
+ */
+function storageKey(identity) {
+  return `${HISTORY_STORAGE_PREFIX}${identity || 'anonymous'}`;
+}
+
+/**
+ * Trim a query and collapse its whitespace
+ * @param {string} query - Query as typed
+ * @returns {string}
+ */
+function normalizeQuery(query) {
+  return query.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Load an identity's search history
+ * @param {string|null} identity - Identity DID
+ * @returns {SearchHistoryEntry[]} Entries, most recent first
+ */
+export function loadSearchHistory(identity) {
+  try {
+    /** @type {SearchHistoryEntry[]} */
+    const entries =
+      JSON.parse(localStorage.getItem(storageKey(identity)) || 'null') || [];
+    return entries.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  } catch (error) {
+    console.warn('⚠️ Failed to load search history:', error);
+    return [];
+  }
+}
+
+/**
+ * Store an identity's history
+ * @param {string|null} identity - Identity DID
+ * @param {SearchHistoryEntry[]} entries - Entries to store
+ * @returns {SearchHistoryEntry[]} The stored entries
+ */
+function saveSearchHistory(identity, entries) {
+  try {
+    localStorage.setItem(storageKey(identity), JSON.stringify(entries));
+  } catch (error) {
+    console.warn('⚠️ Failed to save search history:', error);
+  }
+  return entries;
+}
+
+/**
+ * Record a search (repeats move to the top and bump the use count)
+ * @param {string|null} identity - Identity DID
+ * @param {string} query - Query as typed
+ * @param {number} resultCount - Number of results it returned
+ * @returns {SearchHistoryEntry[]} Updated history, most recent first
+ */
+export function recordSearch(identity, query, resultCount) {
+  const normalized = normalizeQuery(query);
+  if (!normalized) return loadSearchHistory(identity);
+
+  const entries = loadSearchHistory(identity);
+  const existing = entries.find(
+    (entry) => entry.query.toLowerCase() === normalized.toLowerCase()
+  );
+  const entry = {
+    query: normalized,
+    count: (existing?.count || 0) + 1,
+    resultCount,
+    lastUsedAt: Date.now(),
+  };
+
+  const updated = [entry, ...entries.filter((e) => e !== existing)].slice(
+    0,
+    MAX_HISTORY_ENTRIES
+  );
+  return saveSearchHistory(identity, updated);
+}
+
+/**
+ * Remove one query from the history
+ * @param {string|null} identity - Identity DID
+ * @param {string} query - Query to remove
+ * @returns {SearchHistoryEntry[]} Updated history
+ */
+export function removeSearchHistoryEntry(identity, query) {
+  const entries = loadSearchHistory(identity).filter(
+    (entry) => entry.query !== query
+  );
+  return saveSearchHistory(identity, entries);
+}
+
+/**
+ * Clear an identity's history
+ * @param {string|null} identity - Identity DID
+ * @returns {SearchHistoryEntry[]} Empty history
+ */
+export function clearSearchHistory(identity) {
+  localStorage.removeItem(storageKey(identity));
+  return [];
+}
+
+/**
+ * Remove every identity's search history (full data reset)
+ */
+export function clearAllSearchHistory() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key?.startsWith(HISTORY_STORAGE_PREFIX)) keys.push(key);
+  }
+  keys.forEach((key) => localStorage.removeItem(key));
+}
+
+/**
+ * Tags and titles of the live (active, unexpired) intentions
+ * Titles are ranked by how common their tags are, newest first on ties.
+ * @param {Array<Object<string, *>>} intentions - All intentions
+ * @returns {SearchVocabulary} Live tags and titles
+ */
+function getVocabulary(intentions) {
+  const cached = vocabularyCache.get(intentions);
+  if (cached) return cached;
+
+  const live = intentions.filter(
+    (intention) =>
+      (intention.status || 'active') === 'active' && !isExpired(intention)
+  );
+
+  /** @type {Map<string, number>} */
+  const tagCounts = new Map();
+  for (const tag of live.flatMap((intention) => intention.tags || [])) {
+    tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+  }
+
+  /** @param {Object<string, *>} intention */
+  const popularity = (intention) =>
+    /** @type {string[]} */ (intention.tags || []).reduce(
+      (sum, tag) => sum + (tagCounts.get(tag) || 0),
+      0
+    );
+  const titles = [...live]
+    .sort(
+      (a, b) =>
+        popularity(b) - popularity(a) || (b.createdAt || 0) - (a.createdAt || 0)
+    )
+    .map((intention) => intention.title)
+    .filter(Boolean);
+
+  const vocabulary = {
+    tags: [...tagCounts]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)),
+    titles: [...new Set(titles)],
+  };
+  vocabularyCache.set(intentions, vocabulary);
+  return vocabulary;
+}
+
+/**
+ * Suggestions for the roller wheel, interleaving the three sources
+ * @param {Array<Object<string, *>>} intentions - All intentions
+ * @param {SearchHistoryEntry[]} history - Search history entries
+ * @param {Object} [options] - Suggestion options
+ * @param {number} [options.limit] - Number of suggestions (default 3)
+ * @param {Array<string>} [options.exclude] - Texts already on screen (e.g. recent history)
+ * @returns {Array<{text: string, kind: 'tag'|'title'|'history'}>} Suggestions
+ */
+export function buildSuggestions(intentions, history, options = {}) {
+  const { limit = 3, exclude = [] } = options;
+  const { tags, titles } = getVocabulary(intentions);
+
+  /** @type {Array<Array<{text: string, kind: 'tag'|'title'|'history'}>>} */
+  const sources = [
+    tags.map(({ tag }) => ({ text: `tag:${tag}`, kind: 'tag' })),
+    titles.map((title) => ({ text: title, kind: 'title' })),
+    [...history]
+      .filter((entry) => entry.resultCount > 0)
+      .sort((a, b) => b.count - a.count || b.lastUsedAt - a.lastUsedAt)
+      .map((entry) => ({ text: entry.query, kind: 'history' })),
+  ];
+
+  const seen = new Set(exclude.map((text) => text.toLowerCase()));
+  /** @type {Array<{text: string, kind: 'tag'|'title'|'history'}>} */
+  const suggestions = [];
+  for (
+    let i = 0;
+    suggestions.length < limit && sources.some((source) => i < source.length);
+    i++
+  ) {
+    for (const source of sources) {
+      const suggestion = source[i];
+      if (!suggestion || seen.has(suggestion.text.toLowerCase())) continue;
+      seen.add(suggestion.text.toLowerCase());
+      suggestions.push(suggestion);
+      if (suggestions.length === limit) break;
+    }
+  }
+  return suggestions;
+}
+
+/**
+ * Operator values that can complete `key:prefix`
+ * @param {string} key - Operator name
+ * @param {SearchVocabulary} vocabulary - Live vocabulary
+ * @returns {string[]|null} Values, or null if the operator is not completable
+ */
+function operatorValues(key, vocabulary) {
+  if (key === 'tag' || key === 'tags')
+    return vocabulary.tags.map(({ tag }) => tag);
+  if (key === 'category') return INTENTION_CATEGORIES;
+  if (key === 'status') return INTENTION_STATUSES;
+  return null;
+}
+
+/**
+ * Prefix completions for the query being typed
+ * Completes operator values (tag:mo → tag:moving), earlier queries, intention titles and,
+ * for the last word, tags.
+ * @param {string} input - Current input
+ * @param {Array<Object<string, *>>} intentions - All intentions
+ * @param {SearchHistoryEntry[]} history - Search history entries
+ * @param {Object} [options] - Completion options
+ * @param {number} [options.limit] - Maximum completions (default 5)
+ * @returns {Array<{text: string, kind: string}>} Full replacement texts for the input
+ */
+export function autocompleteQuery(input, intentions, history, options = {}) {
+  const { limit = 5 } = options;
+  if (!input.trim()) return [];
+
+  const vocabulary = getVocabulary(intentions);
+  const lowerInput = input.toLowerCase().trimStart();
+  const head = input.slice(
+    0,
+    input.length - (input.match(/\S*$/)?.[0].length || 0)
+  );
+  const lastWord = input.match(/\S*$/)?.[0].toLowerCase() || '';
+  /** @type {Array<{text: string, kind: string}>} */
+  const completions = [];
+
+  const operator = lastWord.match(/^([a-z]+):(.*)$/);
+  if (operator) {
+    const values = operatorValues(operator[1], vocabulary) || [];
+    for (const value of values) {
+      if (
+        value.toLowerCase().startsWith(operator[2]) &&
+        value.toLowerCase() !== operator[2]
+      ) {
+        completions.push({
+          text: `${head}${operator[1]}:${value} `,
+          kind: 'operator',
+        });
+      }
+    }
+    return completions.slice(0, limit);
+  }
+
+  for (const entry of history) {
+    if (entry.query.toLowerCase().startsWith(lowerInput)) {
+      completions.push({ text: entry.query, kind: 'history' });
+    }
+  }
+
+  for (const title of vocabulary.titles) {
+    const lowerTitle = title.toLowerCase();
+    if (
+      lowerTitle.startsWith(lowerInput) ||
+      lowerTitle.includes(` ${lowerInput}`)
+    ) {
+      completions.push({ text: title, kind: 'title' });
+    }
+  }
+
+  if (lastWord.length >= 2) {
+    for (const { tag } of vocabulary.tags) {
+      if (tag.toLowerCase().startsWith(lastWord)) {
+        completions.push({ text: `${head}${tag}`, kind: 'tag' });
+      }
+    }
+  }
+
+  const seen = new Set([input.trim().toLowerCase()]);
+  return completions
+    .filter((completion) => {
+      const key = completion.text.trim().toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+}
@@ -0,0 +1,141 @@
+/**
+ * Transcription - on-device speech-to-text for recorded voice notes
+ * Decodes recorded clips to 16 kHz mono and runs Whisper (Transformers.js) in
+ * transcription.worker.js, so no audio leaves the browser.
+ */
+
+import { createWorkerClient } from './worker-client.js';
+
+export const TRANSCRIPTION_MODEL = 'Xenova/whisper-tiny.en';
+const SAMPLING_RATE = 16000;
+
+// Transcription worker (Whisper runs in transcription.worker.js)
+const transcriptionWorker = createWorkerClient({
+  name: 'Transcription',
+  createWorker: () =>
+    new Worker(new URL('./transcription.worker.js', import.meta.url), {
+      type: 'module',
+    }),
+  initialStatus: { state: 'idle', model: null, error: null, progress: null },
+});
+
+// Clips are transcribed one at a time (the worker runs a single ONNX session)
+let queue = Promise.resolve();
+
+/**
+ * The offline audio context constructor (prefixed in older Safari)
+ * @returns {typeof OfflineAudioContext|undefined} Constructor, if Web Audio is available
+ */
+function getOfflineAudioContext() {
+  return (
+    window.OfflineAudioContext ||
+    /** @type {any} */ (window).webkitOfflineAudioContext
+  );
+}
+
+/** @typedef {import('./transcription.worker.js').TranscriptionStatus} TranscriptionStatus */
+
+/**
+ * Check whether on-device transcription can run in this browser
+ * @returns {{ supported: boolean, message: string }} Support and a reason to show
+ */
+export function checkTranscriptionSupport() {
+  if (typeof window === 'undefined') {
+    return { supported: false, message: 'Not running in browser environment' };
+  }
+  if (typeof Worker === 'undefined') {
+    return { supported: false, message: 'Web Workers not supported' };
+  }
+  if (!getOfflineAudioContext()) {
+    return { supported: false, message: 'Web Audio not supported' };
+  }
+  return { supported: true, message: 'On-device transcription available' };
+}
+
+/**
+ * Load the speech recognition model (downloads once, then served from the browser cache)
+ * @returns {Promise<TranscriptionStatus>} Model status once loaded
+ */
+export async function initializeTranscriptionModel() {
+  try {
+    console.log('🎙️ Loading speech recognition model in worker...');
+    const status = await transcriptionWorker.request('init', {
+      modelName: TRANSCRIPTION_MODEL,
+    }).promise;
+    console.log('✅ Speech recognition model loaded');
+    return status;
+  } catch (error) {
+    console.error('❌ Failed to load speech recognition model:', error);
+    const { message } = /** @type {Error} */ (error);
+    throw new Error(`Speech model loading failed: ${message}`);
+  }
+}
+
+/**
+ * Subscribe to model status changes (including download progress)
+ * @param {(status: TranscriptionStatus) => void} listener - Callback(status)
+ * @returns {Function} Unsubscribe function
+ */
+export function onTranscriptionStatus(listener) {
+  return transcriptionWorker.onStatus(listener);
+}
+
+/**
+ * Decode a recorded clip to the mono 16 kHz samples Whisper expects
+ * Decoding may keep the recording's own rate (Safari ignores a requested sampleRate), so the
+ * clip is rendered through an offline 16 kHz mono graph, which resamples and downmixes.
+ * Offline contexts need no audio device, so nothing stays open between clips.
+ * @param {Blob} blob - Recorded audio (webm/ogg/wav...)
+ * @returns {Promise<Float32Array>} Samples
+ */
+export async function decodeAudioBlob(blob) {
+  const OfflineContextClass = /** @type {typeof OfflineAudioContext} */ (
+    getOfflineAudioContext()
+  );
+
+  const decoder = new OfflineContextClass(1, 1, SAMPLING_RATE);
+  const decoded = await decoder.decodeAudioData(await blob.arrayBuffer());
+
+  let buffer = decoded;
+  if (decoded.sampleRate !== SAMPLING_RATE || decoded.numberOfChannels !== 1) {
+    const length = Math.max(1, Math.ceil(decoded.duration * SAMPLING_RATE));
+    const resampler = new OfflineContextClass(1, length, SAMPLING_RATE);
+    const source = resampler.createBufferSource();
+    source.buffer = decoded;
+    source.connect(resampler.destination);
+    source.start();
+    buffer = await resampler.startRendering();
+  }
+
+  // Copied, so the samples can be transferred to the worker
+  return new Float32Array(buffer.getChannelData(0));
+}
+
+/**
+ * Transcribe a recorded clip on-device
+ * @param {Blob} blob - Recorded audio
+ * @param {Object} [options] - Transcription options
+ * @param {Function|null} [options.onProgress] - Callback(done, total) per transcribed 30 s window
+ * @returns {Promise<string>} Transcript (empty if no speech was recognized)
+ */
+export function transcribeRecording(blob, options = {}) {
+  const { onProgress = null } = options;
+
+  const run = async () => {
+    const audio = await decodeAudioBlob(blob);
+    const startTime = performance.now();
+    const transcript = await transcriptionWorker.request(
+      'transcribe',
+      { audio, modelName: TRANSCRIPTION_MODEL },
+      { onProgress, transfer: [audio.buffer] }
+    ).promise;
+    console.log(
+      `📝 Transcribed ${(audio.length / SAMPLING_RATE).toFixed(1)}s of audio in ${Math.round(performance.now() - startTime)}ms`
+    );
+    return transcript;
+  };
+
+  const result = queue.then(run, run);
+  queue = result.catch(() => {});
+  return result;
+}
@@ -0,0 +1,166 @@
+/**
+ * Transcription Worker - hosts the Transformers.js Whisper pipeline off the main thread
+ *
+ * Message protocol (main → worker), every request carries a unique `id`:
+ *   { id, type: 'init', modelName }                 load a model
+ *   { id, type: 'transcribe', audio, modelName }    transcribe 16 kHz mono samples (Float32Array)
+ *   { id, type: 'status' }                          report model status
+ *
+ * Replies (worker → main):
+ *   { id, type: 'result', result }
+ *   { id, type: 'progress', done, total }           chunks transcribed so far
+ *   { id, type: 'error', message }
+ *   { id, type: 'status', status }                  also broadcast (id = null) on every change;
+ *                                                   status.progress (0-1) while downloading
+ */
+
+import { pipeline, env } from '@xenova/transformers';
+
+// Long clips are transcribed in overlapping windows (Whisper sees 30 s at a time)
+const CHUNK_LENGTH_S = 30;
+const STRIDE_LENGTH_S = 5;
+const SAMPLING_RATE = 16000;
+
+// Loaded (or loading) pipelines by Transformers.js model name
+const pipelines = new Map();
+
+/**
+ * @typedef {Object} TranscriptionStatus
+ * @property {'idle'|'loading'|'ready'|'error'} state - Model lifecycle
+ * @property {string|null} model - Model name being loaded or in use
+ * @property {string|null} error - Load error message
+ * @property {number|null} progress - Download fraction (0-1) while loading
+ */
+
+/** @type {TranscriptionStatus} */
+let status = { state: 'idle', model: null, error: null, progress: null };
+
+/**
+ * Update the model status and broadcast it to the main thread
+ * @param {Partial<TranscriptionStatus>} update - Fields to merge into the status
+ */
+function setStatus(update) {
+  status = { ...status, ...update };
+  self.postMessage({ id: null, type: 'status', status });
+}
+
+/**
+ * Load a speech recognition model once, reporting download progress
+ * @param {string} modelName - Transformers.js model name
+ * @returns {Promise<Function>} Automatic-speech-recognition pipeline
+ */
+async function initializeModel(modelName) {
+  if (pipelines.has(modelName)) return pipelines.get(modelName);
+
+  // Use CDN models (not local), cached by the browser after the first load
+  env.allowLocalModels = false;
+  env.useBrowserCache = true;
+  env.backends.onnx.wasm.numThreads = 1;
+
+  setStatus({ state: 'loading', model: modelName, error: null, progress: 0 });
+
+  // Bytes per model file, summed into one overall download fraction
+  const files = new Map();
+  /** @param {{ status: string, file: string, loaded: number, total: number }} data */
+  const onProgress = (data) => {
+    if (data.status !== 'progress' || !data.total) return;
+    files.set(data.file, { loaded: data.loaded, total: data.total });
+
+    let loaded = 0;
+    let total = 0;
+    for (const file of files.values()) {
+      loaded += file.loaded;
+      total += file.total;
+    }
+    setStatus({ progress: loaded / total });
+  };
+
+  const loading = pipeline('automatic-speech-recognition', modelName, {
+    progress_callback: onProgress,
+  })
+    .then((model) => {
+      setStatus({ state: 'ready', model: modelName, progress: null });
+      return model;
+    })
+    .catch((error) => {
+      pipelines.delete(modelName);
+      setStatus({
+        state: 'error',
+        model: modelName,
+        error: error.message,
+        progress: null,
+      });
+      throw error;
+    });
+
+  pipelines.set(modelName, loading);
+  return loading;
+}
+
+/**
+ * Number of windows the pipeline will split a clip into
+ * @param {number} samples - Clip length in samples
+ * @returns {number} Chunk count
+ */
+function countChunks(samples) {
+  const jump = (CHUNK_LENGTH_S - 2 * STRIDE_LENGTH_S) * SAMPLING_RATE;
+  return Math.max(1, Math.ceil(samples / jump));
+}
+
+/**
+ * Transcribe one clip
+ * @param {string} id - Request ID
+ * @param {Float32Array} audio - 16 kHz mono samples
+ * @param {string} modelName - Transformers.js model name
+ * @returns {Promise<string>} Transcript
+ */
+async function transcribe(id, audio, modelName) {
+  const model = await initializeModel(modelName);
+  const total = countChunks(audio.length);
+  let done = 0;
+
+  const output = await model(audio, {
+    chunk_length_s: CHUNK_LENGTH_S,
+    stride_length_s: STRIDE_LENGTH_S,
+    chunk_callback: () => {
+      done = Math.min(done + 1, total);
+      self.postMessage({ id, type: 'progress', done, total });
+    },
+  });
+
+  return output.text.trim();
+}
+
+self.onmessage = async (event) => {
+  const { id, type, modelName } = event.data;
+
+  try {
+    switch (type) {
+      case 'init':
+        await initializeModel(modelName);
+        self.postMessage({ id, type: 'result', result: status });
+        break;
+
+      case 'transcribe':
+        self.postMessage({
+          id,
+          type: 'result',
+          result: await transcribe(id, event.data.audio, modelName),
+        });
+        break;
+
+      case 'status':
+        self.postMessage({ id, type: 'status', status });
+        break;
+
+      default:
+        throw new Error(`Unknown message type: ${type}`);
+    }
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: 'error',
+      message: /** @type {Error} */ (error).message,
+    });
+  }
+};
@@ -0,0 +1,404 @@
+/**
+ * Vector Index - HNSW approximate nearest-neighbour search over intention embeddings
+ * Keeps semantic search sub-linear once a shared database holds tens of thousands of entries.
+ * The index is updated incrementally and serialized to IndexedDB (see database.js).
+ */
+
+import {
+  getActiveEmbeddingModel,
+  isEmbeddingCurrent,
+} from './embedding-models.js';
+import { decodeEmbedding } from './embedding-codec.js';
+import { dot, normalize } from './vector-math.js';
+
+const SNAPSHOT_VERSION = 1;
+
+// Rebuild the graph once this share of nodes are tombstones
+const MAX_DELETED_RATIO = 0.25;
+
+/**
+ * Insert into an array kept sorted by ascending distance
+ * @param {Array<{node: number, distance: number}>} list - Sorted list
+ * @param {{node: number, distance: number}} item - Item to insert
+ */
+function insertSorted(list, item) {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].distance < item.distance) lo = mid + 1;
+    else hi = mid;
+  }
+  list.splice(lo, 0, item);
+}
+
+/**
+ * @typedef {Object} HnswNode
+ * @property {string} id - Intention ID
+ * @property {*} version - Version stamp (e.g. embeddedAt)
+ * @property {number} level - Highest layer the node lives on
+ * @property {boolean} deleted - Tombstone flag
+ * @property {Float32Array} vector - Normalized vector
+ * @property {number[][]} neighbors - Linked nodes per layer
+ */
+
+/**
+ * Hierarchical Navigable Small World graph (Malkov & Yashunin)
+ * Nodes are addressed internally by array position; updates tombstone the old node.
+ */
+export class HnswIndex {
+  /**
+   * @param {Object} [options] - Index options
+   * @param {number} [options.M] - Max neighbours per node on upper layers (default 16)
+   * @param {number} [options.efConstruction] - Candidate list size while inserting (default 100)
+   * @param {number} [options.efSearch] - Candidate list size while searching (default 64)
+   */
+  constructor(options = {}) {
+    const { M = 16, efConstruction = 100, efSearch = 64 } = options;
+
+    this.M = M;
+    this.maxNeighborsLayer0 = M * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(M);
+
+    /** @type {string|null} */
+    this.modelId = null; // embedding model the vectors come from
+    /** @type {number|null} */
+    this.dimension = null;
+    /** @type {Array<HnswNode>} */
+    this.nodes = [];
+    /** @type {Map<string, number>} */
+    this.idToNode = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+  }
+
+  /**
+   * Number of live (non-deleted) vectors in the index
+   * @returns {number}
+   */
+  get size() {
+    return this.idToNode.size;
+  }
+
+  /**
+   * Check whether an id is indexed
+   * @param {string} id - Intention ID
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.idToNode.has(id);
+  }
+
+  /**
+   * Get the version stamp stored with an id (used to detect changed embeddings)
+   * @param {string} id - Intention ID
+   * @returns {*} Version or undefined
+   */
+  getVersion(id) {
+    const node = this.idToNode.get(id);
+    return node === undefined ? undefined : this.nodes[node].version;
+  }
+
+  /**
+   * Insert or replace a vector
+   * @param {string} id - Intention ID
+   * @param {ArrayLike<number>} vector - Embedding vector
+   * @param {*} version - Version stamp (e.g. embeddedAt)
+   */
+  add(id, vector, version = null) {
+    if (this.dimension === null) this.dimension = vector.length;
+    if (vector.length !== this.dimension) {
+      throw new Error(
+        `Vector dimension ${vector.length} does not match index (${this.dimension})`
+      );
+    }
+
+    if (this.idToNode.has(id)) this.remove(id);
+
+    const level = Math.floor(
+      -Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier
+    );
+    const node = this.nodes.length;
+    const vec = normalize(vector);
+
+    this.nodes.push({
+      id,
+      version,
+      level,
+      deleted: false,
+      vector: vec,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+    });
+    this.idToNode.set(id, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    // Greedy descent through the layers above the new node's level
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.searchLayer(vec, [entry], 1, layer)[0].node;
+    }
+
+    // Connect on every layer the node lives on
+    let entries = [entry];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(
+        vec,
+        entries,
+        this.efConstruction,
+        layer
+      );
+      const maxNeighbors = layer === 0 ? this.maxNeighborsLayer0 : this.M;
+      const selected = candidates.slice(0, this.M).map((c) => c.node);
+
+      this.nodes[node].neighbors[layer] = selected;
+      for (const neighbor of selected) {
+        const links = this.nodes[neighbor].neighbors[layer];
+        links.push(node);
+        if (links.length > maxNeighbors)
+          this.prune(neighbor, layer, maxNeighbors);
+      }
+
+      entries = candidates.map((c) => c.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Remove a vector. The node stays in the graph as a tombstone so routing still works.
+   * @param {string} id - Intention ID
+   * @returns {boolean} True if the id was indexed
+   */
+  remove(id) {
+    const node = this.idToNode.get(id);
+    if (node === undefined) return false;
+
+    this.nodes[node].deleted = true;
+    this.idToNode.delete(id);
+    this.deletedCount++;
+    return true;
+  }
+
+  /**
+   * Whether enough tombstones accumulated that the graph should be rebuilt
+   * @returns {boolean}
+   */
+  needsCompaction() {
+    return (
+      this.nodes.length > 0 &&
+      this.deletedCount / this.nodes.length > MAX_DELETED_RATIO
+    );
+  }
+
+  /**
+   * Rebuild the graph from live nodes, dropping tombstones
+   */
+  compact() {
+    const live = this.nodes.filter((n) => !n.deleted);
+    const { M, efConstruction, efSearch, modelId } = this;
+    Object.assign(this, new HnswIndex({ M, efConstruction, efSearch }), {
+      modelId,
+    });
+    for (const n of live) this.add(n.id, n.vector, n.version);
+  }
+
+  /**
+   * Find the k nearest neighbours of a query vector
+   * @param {ArrayLike<number>} query - Query embedding
+   * @param {number} k - Number of results
+   * @param {number} ef - Candidate list size (default max(efSearch, k))
+   * @returns {Array<{id: string, similarity: number}>} Nearest first
+   */
+  search(query, k = 10, ef = Math.max(this.efSearch, k)) {
+    if (this.entryPoint === -1 || query.length !== this.dimension) return [];
+
+    const vec = normalize(query);
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.searchLayer(vec, [entry], 1, layer)[0].node;
+    }
+
+    return this.searchLayer(vec, [entry], ef, 0)
+      .filter((c) => !this.nodes[c.node].deleted)
+      .slice(0, k)
+      .map((c) => ({ id: this.nodes[c.node].id, similarity: 1 - c.distance }));
+  }
+
+  /**
+   * Best-first search restricted to a single layer
+   * @param {Float32Array} vec - Normalized query
+   * @param {number[]} entries - Entry nodes
+   * @param {number} ef - Number of nearest nodes to keep
+   * @param {number} layer - Layer to search
+   * @returns {Array<{node: number, distance: number}>} Nearest first
+   */
+  searchLayer(vec, entries, ef, layer) {
+    const visited = new Set(entries);
+    /** @type {Array<{node: number, distance: number}>} */
+    const candidates = [];
+    /** @type {Array<{node: number, distance: number}>} */
+    const results = [];
+
+    for (const node of entries) {
+      const item = { node, distance: 1 - dot(vec, this.nodes[node].vector) };
+      insertSorted(candidates, item);
+      insertSorted(results, item);
+    }
+
+    while (candidates.length > 0) {
+      const current = /** @type {{node: number, distance: number}} */ (
+        candidates.shift()
+      );
+      if (
+        results.length >= ef &&
+        current.distance > results[results.length - 1].distance
+      )
+        break;
+
+      for (const neighbor of this.nodes[current.node].neighbors[layer] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const distance = 1 - dot(vec, this.nodes[neighbor].vector);
+        if (
+          results.length < ef ||
+          distance < results[results.length - 1].distance
+        ) {
+          const item = { node: neighbor, distance };
+          insertSorted(candidates, item);
+          insertSorted(results, item);
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Trim a node's neighbour list to its closest links
+   * @param {number} node - Node to prune
+   * @param {number} layer - Layer
+   * @param {number} maxNeighbors - Links to keep
+   */
+  prune(node, layer, maxNeighbors) {
+    const vec = this.nodes[node].vector;
+    this.nodes[node].neighbors[layer] = this.nodes[node].neighbors[layer]
+      .map((n) => ({ node: n, distance: 1 - dot(vec, this.nodes[n].vector) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, maxNeighbors)
+      .map((c) => c.node);
+  }
+
+  /**
+   * Serialize to a structured-clone friendly snapshot (for IndexedDB)
+   * @returns {Object<string, *>} Snapshot
+   */
+  toJSON() {
+    return {
+      snapshotVersion: SNAPSHOT_VERSION,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      modelId: this.modelId,
+      dimension: this.dimension,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: this.nodes,
+    };
+  }
+
+  /**
+   * Restore an index from a snapshot
+   * @param {Object<string, *>|null} snapshot - Snapshot from toJSON()
+   * @returns {HnswIndex|null} Index, or null if the snapshot is unusable
+   */
+  static fromJSON(snapshot) {
+    if (!snapshot || snapshot.snapshotVersion !== SNAPSHOT_VERSION) return null;
+
+    const index = new HnswIndex(snapshot);
+    index.modelId = snapshot.modelId ?? null;
+    index.dimension = snapshot.dimension;
+    index.entryPoint = snapshot.entryPoint;
+    index.maxLevel = snapshot.maxLevel;
+    index.nodes = snapshot.nodes.map((/** @type {HnswNode} */ n) => ({
+      ...n,
+      vector: Float32Array.from(n.vector),
+    }));
+
+    index.nodes.forEach((n, i) => {
+      if (n.deleted) index.deletedCount++;
+      else index.idToNode.set(n.id, i);
+    });
+
+    return index;
+  }
+}
+
+/**
+ * Bring an index in line with the current intentions (incremental)
+ * Adds new or re-embedded intentions and removes ones that disappeared.
+ * Only embeddings from the given model are indexed; switching models resets the index.
+ * @param {HnswIndex} index - Index to update
+ * @param {Array<Object<string, *>>} intentions - Current intentions
+ * @param {import('./embedding-models.js').EmbeddingModel} [model] - Embedding model descriptor (default: active model)
+ * @returns {{added: number, removed: number}} Change counts
+ */
+export function syncVectorIndex(
+  index,
+  intentions,
+  model = getActiveEmbeddingModel()
+) {
+  let added = 0;
+  let removed = 0;
+  const seen = new Set();
+
+  if (index.modelId !== model.id) {
+    if (index.nodes.length > 0) {
+      console.log(
+        `🧭 Embedding model changed (${index.modelId} → ${model.id}), resetting vector index`
+      );
+      removed = index.size;
+    }
+    const { M, efConstruction, efSearch } = index;
+    Object.assign(index, new HnswIndex({ M, efConstruction, efSearch }));
+    index.modelId = model.id;
+  }
+
+  for (const intention of intentions) {
+    const { intentionId, embeddedAt = null } = intention;
+    if (!intentionId || !isEmbeddingCurrent(intention, model)) continue;
+
+    seen.add(intentionId);
+    if (index.has(intentionId) && index.getVersion(intentionId) === embeddedAt)
+      continue;
+
+    index.add(intentionId, decodeEmbedding(intention.embedding), embeddedAt);
+    added++;
+  }
+
+  for (const id of [...index.idToNode.keys()]) {
+    if (!seen.has(id)) {
+      index.remove(id);
+      removed++;
+    }
+  }
+
+  if (index.needsCompaction()) {
+    console.log('🧹 Compacting vector index...');
+    index.compact();
+  }
+
+  return { added, removed };
+}
@@ -0,0 +1,30 @@
+/**
+ * Vector Math - shared helpers for comparing embeddings
+ * Vectors are normalized once, after which cosine similarity is a plain dot product.
+ */
+
+/**
+ * Copy a vector into a unit-length Float32Array (cosine distance becomes 1 - dot)
+ * @param {ArrayLike<number>} vector - Input vector
+ * @returns {Float32Array} Normalized copy (zeros stay zeros)
+ */
+export function normalize(vector) {
+  const unit = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < unit.length; i++) norm += unit[i] * unit[i];
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < unit.length; i++) unit[i] /= norm;
+  return unit;
+}
+
+/**
+ * Dot product of two equal-length vectors
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector
+ * @returns {number} Dot product
+ */
+export function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
@@ -1,6 +1,168 @@
 /**
  * Voice Recognition Module using Web Speech API
- * Provides browser-native speech-to-text functionality
+ * Provides browser-native speech-to-text functionality: single utterances (start) and
+ * continuous dictation with live interim results (startDictation)
+ */
+
+// Languages offered by the picker (BCP 47 tags understood by Chrome, Safari and Edge)
+export const SUPPORTED_LANGUAGES = [
+  { code: 'en-US', label: 'English (US)' },
+  { code: 'en-GB', label: 'English (UK)' },
+  { code: 'es-ES', label: 'Español' },
+  { code: 'fr-FR', label: 'Français' },
+  { code: 'de-DE', label: 'Deutsch' },
+  { code: 'it-IT', label: 'Italiano' },
+  { code: 'pt-BR', label: 'Português (BR)' },
+  { code: 'nl-NL', label: 'Nederlands' },
+  { code: 'ja-JP', label: '日本語' },
+  { code: 'zh-CN', label: '中文 (普通话)' }
+];
+
+const LANGUAGE_STORAGE_KEY = 'voice-language';
+
+// Spoken punctuation, per language prefix; longest phrases first so "full stop" beats "stop"
+/** @type {Object<string, Array<[string, string]>>} */
+const PUNCTUATION_COMMANDS = {
+  en: [
+    ['new paragraph', '\n\n'],
+    ['new line', '\n'],
+    ['question mark', '?'],
+    ['exclamation mark', '!'],
+    ['exclamation point', '!'],
+    ['full stop', '.'],
+    ['semicolon', ';'],
+    ['period', '.'],
+    ['comma', ','],
+    ['colon', ':']
+  ],
+  es: [
+    ['nuevo párrafo', '\n\n'],
+    ['nueva línea', '\n'],
+    ['signo de interrogación', '?'],
+    ['signo de exclamación', '!'],
+    ['punto y coma', ';'],
+    ['dos puntos', ':'],
+    ['punto', '.'],
+    ['coma', ',']
+  ],
+  fr: [
+    ['nouveau paragraphe', '\n\n'],
+    ['nouvelle ligne', '\n'],
+    ["point d'interrogation", '?'],
+    ["point d'exclamation", '!'],
+    ['point-virgule', ';'],
+    ['deux-points', ':'],
+    ['virgule', ','],
+    ['point', '.']
+  ],
+  de: [
+    ['neuer absatz', '\n\n'],
+    ['neue zeile', '\n'],
+    ['fragezeichen', '?'],
+    ['ausrufezeichen', '!'],
+    ['semikolon', ';'],
+    ['doppelpunkt', ':'],
+    ['komma', ','],
+    ['punkt', '.']
+  ]
+};
+
+// Errors after which restarting the session cannot help
+const FATAL_ERRORS = new Set([
+  'not-allowed',
+  'service-not-allowed',
+  'audio-capture',
+  'language-not-supported'
+]);
+
+// Stop auto-restarting if the browser keeps ending sessions without hearing anything
+const MAX_EMPTY_RESTARTS = 5;
+
+/**
+ * Escape a literal string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace spoken punctuation ("comma", "new line" ...) with the symbols
+ * @param {string} text - Recognized text
+ * @param {string} lang - BCP 47 language tag (commands exist for en, es, fr, de)
+ * @returns {string} Text with punctuation applied and spacing tidied
+ */
+export function applyPunctuationCommands(text, lang = 'en-US') {
+  const commands = PUNCTUATION_COMMANDS[lang.split('-')[0].toLowerCase()];
+  if (!commands) return text;
+
+  // Symbols are marked (private-use character) so the spacing pass can attach them to the previous word
+  let result = text;
+  for (const [phrase, symbol] of commands) {
+    const pattern = new RegExp(`(^|\\s)${escapeRegExp(phrase)}(?=\\s|$|[.,!?])`, 'gi');
+    result = result.replace(pattern, `$1\uE000${symbol}`);
+  }
+
+  return (
+    result
+      // Punctuation attaches to the preceding word
+      .replace(/\s*\uE000/g, '')
+      .replace(/[ \t]*\n[ \t]*/g, '\n')
+      .replace(/([,;:.!?])(?=[^\s\d,;:.!?])/g, '$1 ')
+      // Capitalize sentence starts after . ! ? and line breaks
+      .replace(/(^|[.!?]\s+|\n)(\p{Ll})/gu, (match, before, letter) => before + letter.toUpperCase())
+      .trim()
+  );
+}
+
+/**
+ * Join dictated segments into one text
+ * @param {Array<{transcript: string}>} segments - Final segments, in order
+ * @param {string} interim - Not-yet-final text
+ * @param {Object} [options] - Compose options
+ * @param {string} [options.lang] - Language for punctuation commands
+ * @param {boolean} [options.punctuationCommands] - Apply spoken punctuation (default true)
+ * @returns {string} Dictated text
+ */
+export function composeTranscript(segments, interim = '', options = {}) {
+  const { lang = 'en-US', punctuationCommands = true } = options;
+  const text = [...segments.map((segment) => segment.transcript), interim]
+    .map((part) => part.trim())
+    .filter((part) => part.length > 0)
+    .join(' ');
+  return punctuationCommands ? applyPunctuationCommands(text, lang) : text;
+}
+
+/**
+ * Load the preferred recognition language (saved choice, else the browser's if offered)
+ * @returns {string} BCP 47 language tag
+ */
+export function loadPreferredLanguage() {
+  if (typeof window === 'undefined') return 'en-US';
+
+  const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  if (saved && SUPPORTED_LANGUAGES.some((language) => language.code === saved)) return saved;
+
+  const browser = navigator.language || 'en-US';
+  const match =
+    SUPPORTED_LANGUAGES.find((language) => language.code.toLowerCase() === browser.toLowerCase()) ||
+    SUPPORTED_LANGUAGES.find((language) => language.code.split('-')[0] === browser.split('-')[0]);
+  return match ? match.code : 'en-US';
+}
+
+/**
+ * Remember the chosen recognition language
+ * @param {string} lang - BCP 47 language tag
+ */
+export function savePreferredLanguage(lang) {
+  localStorage.setItem(LANGUAGE_STORAGE_KEY, lang);
+}
+
+/**
+ * @typedef {Object} DictationSegment
+ * @property {string} transcript - Current text (the top alternative unless one was chosen)
+ * @property {string[]} alternatives - Recognizer alternatives, best first
  */
 
 export class VoiceRecognition {
@@ -9,6 +171,10 @@ export class VoiceRecognition {
     this.isListening = false;
     this.onResult = null;
     this.onError = null;
+    // Continuous dictation state (see startDictation)
+    this.keepAlive = false;
+    /** @type {DictationSegment[]} */
+    this.segments = [];
   }
 
   /**
@@ -36,13 +202,15 @@ export class VoiceRecognition {
    * @param {string} options.lang - Language code (default: 'en-US')
    * @param {boolean} options.continuous - Continue listening after results (default: false)
    * @param {boolean} options.interimResults - Return interim results (default: false)
+   * @param {number} options.maxAlternatives - Alternative transcripts to request (default: 1)
    * @returns {Promise<string>} Transcript of recognized speech
    */
   async start(options = {}) {
     const {
       lang = 'en-US',
       continuous = false,
-      interimResults = false
+      interimResults = false,
+      maxAlternatives = 1
     } = options;
 
     if (!this.isSupported()) {
@@ -58,7 +226,7 @@ export class VoiceRecognition {
     this.recognition.continuous = continuous;
     this.recognition.interimResults = interimResults;
     this.recognition.lang = lang;
-    this.recognition.maxAlternatives = 1;
+    this.recognition.maxAlternatives = maxAlternatives;
 
     return new Promise((resolve, reject) => {
       this.recognition.onstart = () => {
@@ -110,10 +278,161 @@ export class VoiceRecognition {
     });
   }
 
+  /**
+   * Dictate continuously until stop() is called
+   * Interim results stream through onUpdate; the browser ending the session (silence,
+   * time limits) restarts it transparently.
+   * @param {Object} [options] - Dictation options
+   * @param {string} [options.lang] - Language code (default: 'en-US')
+   * @param {number} [options.maxAlternatives] - Alternatives kept per segment (default: 3)
+   * @param {boolean} [options.punctuationCommands] - Turn "comma", "new line" ... into symbols (default: true)
+   * @param {boolean} [options.autoRestart] - Restart when the browser ends the session (default: true)
+   * @param {((update: { text: string, segments: DictationSegment[], interim: string }) => void)|null} [options.onUpdate] - Called on every result
+   * @returns {Promise<string>} Final dictated text once stopped
+   */
+  async startDictation(options = {}) {
+    const {
+      lang = 'en-US',
+      maxAlternatives = 3,
+      punctuationCommands = true,
+      autoRestart = true,
+      onUpdate = null
+    } = options;
+
+    if (!this.isSupported()) {
+      throw new Error('Speech recognition not supported in this browser');
+    }
+
+    if (this.isListening) {
+      throw new Error('Already listening');
+    }
+
+    const SpeechRecognition = this.getSpeechRecognition();
+    this.recognition = new SpeechRecognition();
+    this.recognition.continuous = true;
+    this.recognition.interimResults = true;
+    this.recognition.lang = lang;
+    this.recognition.maxAlternatives = maxAlternatives;
+
+    // One segments array for the whole dictation: sessionSegments holds the same objects, so a
+    // re-finalized result or a chosen alternative updates the segment everyone sees. Segments
+    // the browser finalizes as empty stay in place (composeTranscript skips them) so indexes
+    // held by callers stay valid.
+    this.segments = [];
+    this.keepAlive = true;
+    /** @type {DictationSegment[]} */
+    let sessionSegments = []; // finals of the current browser session (results restart at 0)
+    let interim = '';
+    let emptyRestarts = 0;
+    /** @type {Error|null} */
+    let fatalError = null;
+
+    const compose = () => composeTranscript(this.segments, interim, { lang, punctuationCommands });
+
+    return new Promise((resolve, reject) => {
+      this.recognition.onstart = () => {
+        this.isListening = true;
+        console.log(`🎤 Dictation started (${lang})`);
+      };
+
+      /** @param {*} event - SpeechRecognitionEvent */
+      this.recognition.onresult = (event) => {
+        emptyRestarts = 0;
+        interim = '';
+
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+          const result = event.results[i];
+          if (result.isFinal) {
+            const alternatives = Array.from(result, (/** @type {*} */ alternative) => alternative.transcript.trim());
+            const segment = { transcript: alternatives[0], alternatives };
+            if (sessionSegments[i]) {
+              Object.assign(sessionSegments[i], segment);
+            } else {
+              sessionSegments[i] = segment;
+              this.segments.push(segment);
+            }
+          } else {
+            interim += result[0].transcript;
+          }
+        }
+
+        onUpdate?.({ text: compose(), segments: this.segments, interim });
+      };
+
+      /** @param {*} event - SpeechRecognitionErrorEvent */
+      this.recognition.onerror = (event) => {
+        if (event.error === 'no-speech' || event.error === 'aborted') return;
+
+        console.error('❌ Speech recognition error:', event.error);
+        if (FATAL_ERRORS.has(event.error)) {
+          fatalError = new Error(`Speech recognition error: ${event.error}`);
+          this.keepAlive = false;
+        }
+        if (this.onError) {
+          this.onError(event.error);
+        }
+      };
+
+      this.recognition.onend = () => {
+        // Dangling interim text from a cut-off session is kept rather than lost
+        if (interim.trim()) {
+          this.segments.push({ transcript: interim.trim(), alternatives: [interim.trim()] });
+          interim = '';
+          onUpdate?.({ text: compose(), segments: this.segments, interim });
+        }
+        sessionSegments = [];
+
+        if (this.keepAlive && autoRestart && emptyRestarts < MAX_EMPTY_RESTARTS) {
+          emptyRestarts++;
+          console.log('🔄 Restarting dictation session...');
+          try {
+            this.recognition.start();
+            return;
+          } catch (error) {
+            console.warn('⚠️ Could not restart dictation:', error);
+          }
+        }
+
+        console.log('🛑 Dictation ended');
+        this.isListening = false;
+        this.keepAlive = false;
+        if (fatalError) reject(fatalError);
+        else resolve(compose());
+      };
+
+      try {
+        this.recognition.start();
+      } catch (error) {
+        this.isListening = false;
+        this.keepAlive = false;
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Swap a dictated segment for one of its alternatives
+   * @param {number} index - Segment index
+   * @param {string} transcript - Chosen alternative
+   */
+  chooseAlternative(index, transcript) {
+    if (this.segments[index]) this.segments[index].transcript = transcript;
+  }
+
+  /**
+   * Drop the alternatives of a dictated segment, keeping its current transcript
+   * @param {number} index - Segment index
+   */
+  dismissAlternatives(index) {
+    const segment = this.segments[index];
+    if (segment) segment.alternatives = [segment.transcript];
+  }
+
   /**
    * Stop listening for speech input
    */
   stop() {
+    this.keepAlive = false;
     if (this.recognition && this.isListening) {
       console.log('⏹️ Stopping voice recognition...');
       this.recognition.stop();
@@ -125,6 +444,7 @@ export class VoiceRecognition {
    * Abort speech recognition immediately
    */
   abort() {
+    this.keepAlive = false;
     if (this.recognition && this.isListening) {
       console.log('⏹️ Aborting voice recognition...');
       this.recognition.abort();
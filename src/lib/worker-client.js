@@ -0,0 +1,113 @@
+/**
+ * Worker Client - request/reply messaging with a lazily started model worker
+ * Shared by the embedding (intention-search-engine.js) and transcription (transcription.js)
+ * proxies. Every request carries an `id`; the worker answers with a `result`, `error` or
+ * `progress` message for that id, and broadcasts `status` messages (model loading state)
+ * that are handed to the status listeners. A crashed worker fails all pending requests and
+ * is started again on the next request.
+ */
+
+/**
+ * Create a client for one worker script
+ * @param {Object} options - Client options
+ * @param {string} options.name - Worker name for logs and errors (e.g. 'Embedding')
+ * @param {() => Worker} options.createWorker - Starts the worker (keep the `new Worker(new URL(...))`
+ *   call in the caller's module so the bundler picks up the worker script)
+ * @param {Object} options.initialStatus - Model status until the worker reports one
+ * @returns {{request: Function, onStatus: Function}} Client
+ */
+export function createWorkerClient({ name, createWorker, initialStatus }) {
+  /** @type {Worker|null} */
+  let worker = null;
+  let nextRequestId = 0;
+  /** @type {Map<string, {resolve: Function, reject: Function, onProgress: Function|null}>} */
+  const pendingRequests = new Map();
+  let modelStatus = initialStatus;
+  /** @type {Set<Function>} */
+  const statusListeners = new Set();
+
+  /**
+   * Get (or lazily start) the worker
+   * @returns {Worker} Worker instance
+   */
+  function getWorker() {
+    if (worker) return worker;
+
+    worker = createWorker();
+
+    worker.onmessage = (event) => {
+      const { id, type } = event.data;
+
+      if (type === 'status') {
+        modelStatus = event.data.status;
+        statusListeners.forEach((listener) => listener(modelStatus));
+      }
+
+      const pending = pendingRequests.get(id);
+      if (!pending) return;
+
+      if (type === 'progress') {
+        pending.onProgress?.(event.data.done, event.data.total);
+      } else if (type === 'error') {
+        pendingRequests.delete(id);
+        const error = new Error(event.data.message);
+        if (event.data.cancelled) Object.assign(error, { cancelled: true });
+        pending.reject(error);
+      } else {
+        pendingRequests.delete(id);
+        pending.resolve(
+          type === 'status' ? event.data.status : event.data.result
+        );
+      }
+    };
+
+    worker.onerror = (event) => {
+      console.error(`❌ ${name} worker crashed:`, event.message);
+      for (const pending of pendingRequests.values()) {
+        pending.reject(new Error(`${name} worker error: ${event.message}`));
+      }
+      pendingRequests.clear();
+      worker = null;
+    };
+
+    return worker;
+  }
+
+  /**
+   * Send a request to the worker
+   * @param {string} type - Message type
+   * @param {Object} [payload] - Message fields
+   * @param {Object} [options] - Request options
+   * @param {Function|null} [options.onProgress] - Optional callback(done, total)
+   * @param {Array<Transferable>} [options.transfer] - Buffers to hand over to the worker
+   * @returns {{id: string, promise: Promise<*>}} Request ID and reply promise
+   */
+  function request(
+    type,
+    payload = {},
+    { onProgress = null, transfer = [] } = {}
+  ) {
+    const target = getWorker();
+    const id = `req_${++nextRequestId}`;
+
+    const promise = new Promise((resolve, reject) => {
+      pendingRequests.set(id, { resolve, reject, onProgress });
+      target.postMessage({ id, type, ...payload }, transfer);
+    });
+
+    return { id, promise };
+  }
+
+  /**
+   * Subscribe to model status changes broadcast by the worker
+   * @param {Function} listener - Callback(status), called right away with the current status
+   * @returns {Function} Unsubscribe function
+   */
+  function onStatus(listener) {
+    statusListeners.add(listener);
+    listener(modelStatus);
+    return () => statusListeners.delete(listener);
+  }
+
+  return { request, onStatus };
+}